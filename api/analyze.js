@@ -0,0 +1,4 @@
+import { createAnalyzeHandlerFromEnv } from '../server/analyzeHandler.js';
+
+// Vercel serverless route: POST /api/analyze forwards to Gemini with the server-held key.
+export default createAnalyzeHandlerFromEnv(process.env);
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { readdir, readFile, writeFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { loadEnv } from 'vite';
+import { createAnalyzeHandlerFromEnv } from '../server/analyzeHandler.js';
+import { getProvider, PROVIDERS } from '../src/providers/index.js';
+import { parseEvent } from '../src/lib/eventDefinition.js';
+import { analyzePrepared, describeSharedMetadata } from '../src/lib/pipeline.js';
+import { readPhotoMetadata, ALL_METADATA_GROUPS } from '../src/lib/metadata.js';
+import { DEFAULT_PRIVACY, needsMetadataStripping } from '../src/lib/privacy.js';
+import { imageTypeForName } from '../src/lib/ingest.js';
+import { createJobQueue } from '../src/lib/jobQueue.js';
+import { toExportEntry, buildJsonExport, buildCsvExport } from '../src/lib/resultsExport.js';
+import { formatBytes, stripJpegMetadata } from '../src/lib/imagePreprocess.js';
+import {
+  DEFAULT_PRICES, EMPTY_USAGE_TOTAL, priceUsage, sumUsage, budgetHold, formatCost, formatTokens
+} from '../src/lib/usage.js';
+
+// --- Headless batch analysis: the web app's pipeline over a folder of photos ---
+// Usage: npm run analyze -- <directory> --event <id or file.json> [options]; see USAGE below.
+// Photos are uploaded at full size (there is no canvas to downscale them under Node). Unless every metadata group is
+// shared, JPEGs have their EXIF/XMP/IPTC segments removed first and other formats are refused rather than sent whole.
+
+const BUNDLED_EVENTS_DIR = fileURLToPath(new URL('../src/events/', import.meta.url));
+// The in-process proxy only serves this CLI, so lift the per-client limits meant for browsers.
+const LOCAL_PROXY_DEFAULTS = { PROXY_RATE_LIMIT_MAX: '1000000', PROXY_MAX_BODY_BYTES: String(20 * 1024 * 1024) };
+
+const USAGE = `Usage: npm run analyze -- <directory> --event <id | path/to/event.json> [options]
+
+Options:
+  -e, --event <id|file>     Bundled event id (see src/events) or an event definition file. Required.
+  -o, --out <path>          Output path without extension (default: ./photo-passions).
+  -f, --format <list>       Comma-separated output formats: json, csv (default: json,csv).
+  -c, --concurrency <n>     Photos analyzed in parallel (default: 4).
+  -p, --provider <id>       ${PROVIDERS.map(provider => provider.id).join(' | ')} (default: VITE_ANALYSIS_PROVIDER or gemini).
+  -m, --model <name>        Model for the gemini or openai provider.
+      --endpoint <url>      Analyze proxy to call for gemini (default: an in-process proxy using GEMINI_API_KEY).
+      --base-url <url>      Base URL for the openai provider (default: VITE_OPENAI_BASE_URL).
+      --share <groups>      Metadata groups given to the model: ${ALL_METADATA_GROUPS.join(', ')}, all or none
+                            (default: the app's privacy defaults). Unless all, embedded metadata is
+                            removed from JPEGs and other formats are skipped.
+      --budget <usd>        Stop starting photos once the estimated cost would pass this amount
+                            (priced with the default table in src/lib/usage.js).
+  -r, --recursive           Include photos in subdirectories.
+      --dry-run             Use the offline mock provider; no network access.
+  -h, --help                Show this help.
+
+Environment: GEMINI_API_KEY, GEMINI_MODEL and GEMINI_UPSTREAM=stub as for the server; OPENAI_API_KEY for openai.
+Values in .env files are read the same way the dev server reads them.`;
+
+class UsageError extends Error {}
+
+const SKIPPED_FOR_BUDGET = 'Skipped: budget reached';
+
+const parseOptions = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      event: { type: 'string', short: 'e' },
+      out: { type: 'string', short: 'o', default: 'photo-passions' },
+      format: { type: 'string', short: 'f', default: 'json,csv' },
+      concurrency: { type: 'string', short: 'c', default: '4' },
+      provider: { type: 'string', short: 'p' },
+      model: { type: 'string', short: 'm' },
+      endpoint: { type: 'string' },
+      'base-url': { type: 'string' },
+      share: { type: 'string' },
+      budget: { type: 'string' },
+      recursive: { type: 'boolean', short: 'r', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) return { help: true };
+
+  if (positionals.length !== 1) throw new UsageError("Give exactly one photo directory.");
+  if (!values.event) throw new UsageError("--event is required.");
+
+  const formats = values.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknownFormat = formats.find(format => !['json', 'csv'].includes(format));
+  if (unknownFormat || formats.length === 0) throw new UsageError(`Unknown output format "${unknownFormat || ''}".`);
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new UsageError("--concurrency must be a positive integer.");
+
+  const budgetUsd = values.budget === undefined ? 0 : Number(values.budget);
+  if (!(budgetUsd >= 0)) throw new UsageError("--budget must be an amount in USD.");
+
+  const providerId = values['dry-run'] ? 'mock' : values.provider;
+  if (providerId && !PROVIDERS.some(provider => provider.id === providerId)) {
+    throw new UsageError(`Unknown provider "${providerId}".`);
+  }
+
+  return {
+    directory: positionals[0],
+    event: values.event,
+    out: values.out,
+    formats,
+    concurrency,
+    providerId,
+    model: values.model,
+    endpoint: values.endpoint,
+    baseUrl: values['base-url'],
+    privacy: parseShare(values.share),
+    budgetUsd,
+    recursive: values.recursive
+  };
+};
+
+const parseShare = (value) => {
+  if (value === undefined) return DEFAULT_PRIVACY;
+  const groups = value === 'all' ? ALL_METADATA_GROUPS
+    : value === 'none' ? []
+      : value.split(',').map(group => group.trim()).filter(Boolean);
+  const unknown = groups.find(group => !ALL_METADATA_GROUPS.includes(group));
+  if (unknown) throw new UsageError(`Unknown metadata group "${unknown}".`);
+  return { share: Object.fromEntries(ALL_METADATA_GROUPS.map(group => [group, groups.includes(group)])) };
+};
+
+const loadEvent = async (reference) => {
+  const file = reference.endsWith('.json') ? reference : path.join(BUNDLED_EVENTS_DIR, `${reference}.json`);
+  let raw;
+  try {
+    raw = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const bundled = (await readdir(BUNDLED_EVENTS_DIR)).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5));
+      throw new UsageError(`No event "${reference}". Bundled events: ${bundled.join(', ')}.`);
+    }
+    throw new UsageError(`${file} is not valid JSON.`);
+  }
+  return parseEvent(raw);
+};
+
+// Relative paths of every image under directory, sorted; hidden files and folders are skipped like in the app.
+const listImages = async (directory, recursive) => {
+  const entries = await readdir(directory, { withFileTypes: true, recursive });
+  return entries
+    .filter(entry => entry.isFile() && imageTypeForName(entry.name))
+    .map(entry => path.relative(directory, path.join(entry.parentPath ?? entry.path, entry.name)))
+    .filter(relative => !relative.split(path.sep).some(part => part.startsWith('.') || part === '__MACOSX'))
+    .sort();
+};
+
+// Runs the server's analyze handler on a loopback port so the gemini provider can call it like the browser does.
+const startLocalProxy = (env) => new Promise((resolve, reject) => {
+  const handler = createAnalyzeHandlerFromEnv({ ...LOCAL_PROXY_DEFAULTS, ...env });
+  const server = createServer((req, res) => {
+    handler(req, res).catch(error => {
+      console.error("Analyze proxy failed:", error);
+      res.destroy();
+    });
+  });
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve({
+    endpoint: `http://127.0.0.1:${server.address().port}/api/analyze`,
+    close: () => new Promise(done => server.close(done))
+  }));
+});
+
+const resolveProvider = async (options, env) => {
+  const provider = getProvider(options.providerId || env.VITE_ANALYSIS_PROVIDER);
+  const settings = { ...provider.defaultSettings };
+  let close = async () => {};
+
+  if (provider.id === 'mock') {
+    settings.latencyMs = 0;
+  } else if (provider.id === 'gemini') {
+    if (options.model) settings.model = options.model;
+    if (options.endpoint) {
+      settings.endpoint = options.endpoint;
+    } else {
+      if (!env.GEMINI_API_KEY && env.GEMINI_UPSTREAM !== 'stub') {
+        throw new UsageError("Set GEMINI_API_KEY (or GEMINI_UPSTREAM=stub), pass --endpoint, or use --dry-run.");
+      }
+      const proxy = await startLocalProxy(env);
+      settings.endpoint = proxy.endpoint;
+      close = proxy.close;
+    }
+  } else if (provider.id === 'openai') {
+    if (options.model) settings.model = options.model;
+    if (options.baseUrl) settings.baseUrl = options.baseUrl;
+    settings.baseUrl = settings.baseUrl || env.VITE_OPENAI_BASE_URL;
+    settings.model = settings.model || env.VITE_OPENAI_MODEL || '';
+    settings.apiKey = env.OPENAI_API_KEY || '';
+  }
+  return { provider, settings, close };
+};
+
+// Never rejects: a photo that can't be read or analyzed comes back with status 'error'.
+const analyzeOne = async ({ directory, relativePath, event, privacy, provider, providerSettings, signal }) => {
+  const mimeType = imageTypeForName(relativePath);
+  const result = {
+    file: { name: relativePath }, status: 'error', data: null, error: null,
+    metadata: null, metadataContext: null, sent: null, upload: null, usage: null
+  };
+  try {
+    const bytes = await readFile(path.join(directory, relativePath));
+    result.metadata = await readPhotoMetadata(new File([bytes], relativePath, { type: mimeType }));
+    const { metadataContext, fields } = describeSharedMetadata(result.metadata, privacy);
+    result.metadataContext = metadataContext;
+    let upload = bytes;
+    if (needsMetadataStripping(privacy)) {
+      const stripped = mimeType === 'image/jpeg' ? stripJpegMetadata(bytes) : null;
+      if (!stripped) {
+        throw new Error(mimeType === 'image/jpeg'
+          ? "Could not remove the embedded metadata from this JPEG, so it was not uploaded."
+          : "Embedded metadata can only be removed from JPEGs here; convert it or pass --share all to upload it as-is.");
+      }
+      upload = Buffer.from(stripped.buffer, stripped.byteOffset, stripped.length);
+    }
+    result.sent = { fields, embeddedMetadata: upload === bytes };
+    result.upload = { mimeType, originalBytes: bytes.length, bytes: upload.length, reencoded: false };
+    const prepared = { base64Data: upload.toString('base64'), upload: result.upload, metadataContext };
+    const { analysis, usage } = await analyzePrepared({ provider, providerSettings, event, prepared, fileName: relativePath, signal });
+    result.data = analysis;
+    result.usage = priceUsage(usage, DEFAULT_PRICES);
+    result.status = 'done';
+  } catch (error) {
+    result.error = error.message || 'File processing failed';
+    if (error.usage) result.usage = priceUsage(error.usage, DEFAULT_PRICES);
+  }
+  return result;
+};
+
+const run = async (argv) => {
+  const options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const env = { ...loadEnv('production', process.cwd(), ''), ...process.env };
+  const event = await loadEvent(options.event);
+  const directory = path.resolve(options.directory);
+  if (!(await stat(directory).catch(() => null))?.isDirectory()) throw new UsageError(`${options.directory} is not a directory.`);
+  const images = await listImages(directory, options.recursive);
+  if (images.length === 0) throw new UsageError(`No photos found in ${options.directory}.`);
+
+  const { provider, settings: providerSettings, close } = await resolveProvider(options, env);
+  console.error(`Analyzing ${images.length} photos for ${event.name} with ${provider.label}, ${options.concurrency} at a time.`);
+
+  const results = new Array(images.length);
+  let finished = 0;
+  let spent = EMPTY_USAGE_TOTAL;
+  let hold = null;
+  try {
+    // Over budget, the queue holds the next photo back; everything still waiting is then skipped.
+    const queue = createJobQueue({
+      concurrency: options.concurrency,
+      beforeStart: (job, { active }) => {
+        hold = hold || budgetHold(spent, options.budgetUsd, { inFlight: active, prices: DEFAULT_PRICES });
+        return !hold;
+      },
+      onChange: ({ paused, pending, active }) => {
+        if (paused && active === 0 && pending > 0) queue.cancelAll();
+      }
+    });
+    await Promise.all(images.map((relativePath, index) => new Promise(resolve => {
+      queue.enqueue({
+        key: relativePath,
+        onCancel: () => {
+          results[index] = {
+            file: { name: relativePath }, status: 'error', data: null, error: SKIPPED_FOR_BUDGET, metadata: null,
+            metadataContext: null, sent: null, upload: null, usage: null
+          };
+          resolve();
+        },
+        run: async (signal) => {
+          const result = await analyzeOne({ directory, relativePath, event, privacy: options.privacy, provider, providerSettings, signal });
+          results[index] = result;
+          spent = sumUsage(results.map(other => other?.usage));
+          finished += 1;
+          const outcome = result.status === 'done' ? result.data.matchedPassions.map(m => m.passionName).join(', ') : `error: ${result.error}`;
+          const tokens = result.usage?.metered ? `, ${formatTokens(result.usage.totalTokens)} tokens` : '';
+          console.error(`[${finished}/${images.length}] ${relativePath}${result.upload ? ` (${formatBytes(result.upload.bytes)}${tokens})` : ''}: ${outcome}`);
+          resolve();
+        }
+      });
+    })));
+  } finally {
+    await close();
+  }
+  if (hold) {
+    const skipped = results.filter(result => result.error === SKIPPED_FOR_BUDGET).length;
+    console.error(hold === 'unpriced'
+      ? `Can't track the ${formatCost(options.budgetUsd)} budget: this model has no price in src/lib/usage.js. Skipped ${skipped} photos.`
+      : `Budget of ${formatCost(options.budgetUsd)} reached; skipped ${skipped} photos.`);
+  }
+
+  const entries = results.map(result => toExportEntry(result));
+  const outputs = {
+    json: () => buildJsonExport({ event, entries }),
+    csv: () => buildCsvExport({ entries })
+  };
+  for (const format of options.formats) {
+    const target = `${options.out}.${format}`;
+    await writeFile(target, outputs[format]());
+    console.error(`Wrote ${target}`);
+  }
+
+  const total = sumUsage(results.map(result => result.usage));
+  if (total.totalTokens > 0) {
+    const cost = total.photos > total.unpriced
+      ? `, about ${formatCost(total.cost)}${total.unpriced > 0 ? ` (${total.unpriced} photos not priced)` : ''}`
+      : ', cost unknown';
+    console.error(`Used ${formatTokens(total.inputTokens)} input and ${formatTokens(total.outputTokens)} output tokens in ${total.calls} calls${cost}.`);
+  }
+
+  const failed = results.filter(result => result.status !== 'done').length;
+  console.error(failed > 0 ? `${failed} of ${results.length} photos failed.` : `All ${results.length} photos analyzed.`);
+  return failed > 0 ? 1 : 0;
+};
+
+run(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error(error);
+    process.exitCode = 1;
+  });
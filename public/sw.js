@@ -0,0 +1,89 @@
+// Service worker: keeps the app shell available offline. Analysis requests are never cached;
+// photos waiting for a connection are queued by the page in IndexedDB.
+
+const CACHE_NAME = 'summit-photo-mapper-shell-v1';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg'];
+// Cross-origin resources the shell needs; cached as opaque responses.
+const EXTERNAL_URLS = ['https://cdn.tailwindcss.com'];
+
+const cacheUrls = async (urls) => {
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(urls.map(async (url) => {
+    try {
+      const sameOrigin = new URL(url, self.location.origin).origin === self.location.origin;
+      const response = await fetch(url, sameOrigin ? {} : { mode: 'no-cors' });
+      if (response.ok || response.type === 'opaque') await cache.put(url, response);
+    } catch (error) {
+      console.warn(`Could not cache ${url}:`, error);
+    }
+  }));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheUrls([...SHELL_URLS, ...EXTERNAL_URLS]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The page sends the assets it loaded before this worker took control (hashed bundles, lazy chunks).
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'cache-urls' && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheUrls(event.data.urls));
+  }
+});
+
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirst(request, '/'));
+    } else {
+      // Built assets have content hashes in their names, so a cached copy is never stale.
+      event.respondWith(url.pathname.startsWith('/assets/') ? cacheFirst(request) : networkFirst(request));
+    }
+  } else if (EXTERNAL_URLS.some(external => request.url.startsWith(external))) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Focus the app when a "queue drained" notification is clicked.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) return windows[0].focus();
+    return self.clients.openWindow('/');
+  })());
+});
@@ -0,0 +1,160 @@
+import { createRateLimiter } from './rateLimiter.js';
+import { stubGeminiFetch } from './stubUpstream.js';
+import { formatBytes } from '../src/lib/imagePreprocess.js';
+
+// --- Analyze proxy: keeps the Gemini key server-side and forwards analysis requests ---
+
+const DEFAULT_MODEL = "gemini-2.5-flash-preview-09-2025";
+const DEFAULT_API_BASE = "https://generativelanguage.googleapis.com";
+const DEFAULT_MAX_BODY_BYTES = 8 * 1024 * 1024;
+const DEFAULT_RATE_LIMIT_MAX = 60;
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+const sendError = (res, status, message, headers) => sendJson(res, status, { error: { code: status, message } }, headers);
+
+// X-Forwarded-For is only believed behind a proxy that sets it; otherwise any client could rotate it to dodge the
+// rate limit.
+const getClientKey = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+const readJsonBody = async (req, maxBytes) => {
+  const tooLarge = () => new HttpError(413, `Request body exceeds the ${formatBytes(maxBytes)} limit.`);
+
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength > maxBytes) throw tooLarge();
+
+  // Platforms such as Vercel hand us an already-parsed body.
+  if (req.body !== undefined) {
+    const raw = typeof req.body === 'string' || Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body);
+    if (Buffer.byteLength(raw) > maxBytes) throw tooLarge();
+    return typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : parseJson(raw.toString());
+  }
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return parseJson(Buffer.concat(chunks).toString('utf8'));
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, "Request body must be valid JSON.");
+  }
+};
+
+export const createAnalyzeHandler = ({
+  apiKey,
+  model = DEFAULT_MODEL,
+  allowedModels = [],
+  apiBase = DEFAULT_API_BASE,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  rateLimitMax = DEFAULT_RATE_LIMIT_MAX,
+  rateLimitWindowMs = DEFAULT_RATE_LIMIT_WINDOW_MS,
+  trustProxy = false,
+  fetchImpl = fetch
+} = {}) => {
+  const limiter = createRateLimiter({ max: rateLimitMax, windowMs: rateLimitWindowMs });
+  const models = [...new Set([model, ...allowedModels])];
+  const upstreamUrlFor = (modelName) => `${apiBase.replace(/\/$/, '')}/v1beta/models/${modelName}:generateContent`;
+
+  return async (req, res) => {
+    try {
+      if (req.method === 'GET') {
+        return sendJson(res, 200, { configured: Boolean(apiKey), model, models, maxBodyBytes });
+      }
+      if (req.method !== 'POST') {
+        throw new HttpError(405, "Method not allowed.", { Allow: 'GET, POST' });
+      }
+
+      const limit = limiter.check(getClientKey(req, trustProxy));
+      if (!limit.allowed) {
+        throw new HttpError(429, "Too many analysis requests. Please wait and try again.", {
+          'Retry-After': String(limit.retryAfterSeconds)
+        });
+      }
+
+      if (!apiKey) {
+        throw new HttpError(503, "The analysis server is missing its GEMINI_API_KEY.");
+      }
+
+      const body = await readJsonBody(req, maxBodyBytes);
+      if (!Array.isArray(body?.contents) || body.contents.length === 0) {
+        throw new HttpError(400, "Request body must include a non-empty 'contents' array.");
+      }
+      const requestedModel = body.model || model;
+      if (!models.includes(requestedModel)) {
+        throw new HttpError(400, `Model '${requestedModel}' is not enabled on this server.`);
+      }
+
+      // Only forward the fields the app uses; the client can pick among allowed models but never sees the key.
+      let upstream;
+      try {
+        upstream = await fetchImpl(upstreamUrlFor(requestedModel), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+          body: JSON.stringify({ contents: body.contents, generationConfig: body.generationConfig })
+        });
+      } catch (networkError) {
+        console.error("Upstream request failed:", networkError);
+        throw new HttpError(502, "Could not reach the model service.");
+      }
+
+      const headers = { 'X-RateLimit-Remaining': String(limit.remaining) };
+      const retryAfter = upstream.headers.get('retry-after');
+      if (retryAfter) headers['Retry-After'] = retryAfter;
+      return sendJson(res, upstream.status, await upstream.text(), headers);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendError(res, error.status, error.message, error.headers);
+      }
+      console.error("Analyze proxy failed:", error);
+      return sendError(res, 500, "Internal server error.");
+    }
+  };
+};
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const createAnalyzeHandlerFromEnv = (env = process.env) => {
+  const useStub = env.GEMINI_UPSTREAM === 'stub';
+  return createAnalyzeHandler({
+    apiKey: env.GEMINI_API_KEY || (useStub ? 'stub' : ''),
+    model: env.GEMINI_MODEL || DEFAULT_MODEL,
+    allowedModels: (env.GEMINI_ALLOWED_MODELS || '').split(',').map(name => name.trim()).filter(Boolean),
+    apiBase: env.GEMINI_API_BASE || DEFAULT_API_BASE,
+    maxBodyBytes: toNumber(env.PROXY_MAX_BODY_BYTES, DEFAULT_MAX_BODY_BYTES),
+    rateLimitMax: toNumber(env.PROXY_RATE_LIMIT_MAX, DEFAULT_RATE_LIMIT_MAX),
+    rateLimitWindowMs: toNumber(env.PROXY_RATE_LIMIT_WINDOW_MS, DEFAULT_RATE_LIMIT_WINDOW_MS),
+    // Vercel's edge replaces X-Forwarded-For with the real client address.
+    trustProxy: env.PROXY_TRUST_FORWARDED === 'true' || Boolean(env.VERCEL),
+    fetchImpl: useStub ? stubGeminiFetch : fetch
+  });
+};
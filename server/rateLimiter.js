@@ -0,0 +1,30 @@
+// --- Fixed-window rate limiter keyed by client identifier ---
+
+export const createRateLimiter = ({ max = 60, windowMs = 60 * 1000, now = Date.now } = {}) => {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  const prune = (time) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= time) windows.delete(key);
+    }
+  };
+
+  const check = (key) => {
+    const time = now();
+    if (windows.size > 1000) prune(time);
+
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(key, entry);
+    }
+
+    if (entry.count >= max) {
+      return { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil((entry.resetAt - time) / 1000) };
+    }
+    entry.count += 1;
+    return { allowed: true, remaining: max - entry.count, retryAfterSeconds: 0 };
+  };
+
+  return { check };
+};
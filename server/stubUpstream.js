@@ -0,0 +1,34 @@
+// --- Stub Gemini upstream for local development without a real API key ---
+// Answers every generateContent call with a canned, schema-conforming response.
+
+const STUB_ANALYSIS = {
+  description: "Stub analysis: a sunny deck scene with people gathered near the water.",
+  matchedPassions: [
+    { passionName: "Ocean & Marine Life", confidence: "High" },
+    { passionName: "Sunrise/Sunset Sets", confidence: "High" },
+    { passionName: "Live Music Performances", confidence: "Suggested" }
+  ]
+};
+
+export const stubGeminiFetch = async (url, options = {}) => {
+  const body = JSON.parse(options.body || '{}');
+  const promptText = body.contents?.[0]?.parts?.find(part => part.text)?.text || '';
+
+  const result = {
+    candidates: [{
+      content: { role: "model", parts: [{ text: JSON.stringify(STUB_ANALYSIS) }] },
+      finishReason: "STOP"
+    }],
+    usageMetadata: {
+      promptTokenCount: Math.ceil(promptText.length / 4) + 258,
+      candidatesTokenCount: 60,
+      totalTokenCount: Math.ceil(promptText.length / 4) + 318
+    },
+    modelVersion: "stub"
+  };
+
+  return new Response(JSON.stringify(result), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
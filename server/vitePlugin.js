@@ -0,0 +1,22 @@
+import { loadEnv } from 'vite';
+import { createAnalyzeHandlerFromEnv } from './analyzeHandler.js';
+
+// --- Mounts the analyze proxy on Vite's dev and preview servers ---
+// Server-only variables (GEMINI_API_KEY etc.) are read from .env files without the VITE_ prefix,
+// so they never end up in the client bundle.
+
+export const analyzeProxyPlugin = ({ route = '/api/analyze' } = {}) => {
+  const mount = (server) => {
+    const env = { ...loadEnv(server.config.mode, server.config.root, ''), ...process.env };
+    const handler = createAnalyzeHandlerFromEnv(env);
+    server.middlewares.use(route, (req, res, next) => {
+      handler(req, res).catch(next);
+    });
+  };
+
+  return {
+    name: 'analyze-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount
+  };
+};
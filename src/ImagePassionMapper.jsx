@@ -1,132 +1,72 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { 
   RefreshCw, Upload, Sparkles, Image as ImageIcon, X, ImagePlus, AlertTriangle, 
-  Calendar, Camera, MapPin 
+  Calendar, Camera, MapPin, Settings, Minimize2, Pause, Play, Square, RotateCcw, History, FileUp, FolderOpen, Clock, List, Shield, ShieldCheck, ShieldAlert, CloudOff, GalleryHorizontal, Film, Coins, Check, ArrowUp, Plus, Undo2 
 } from 'lucide-react';
-import * as ExifReader from 'exifreader';
+import { getProvider, ANALYZE_ENDPOINT } from './providers/index.js';
+import { isAbortError, isOffline } from './lib/http.js';
+import { createJobQueue } from './lib/jobQueue.js';
+import {
+  hashBlob, buildCacheKey, getAnalysis, saveAnalysis, updateAnalysis, listSessionAnalyses,
+  getSessionId, startNewSession, recordToFile, getRestoredRecord
+} from './lib/historyStore.js';
+import { loadSettings, saveSettings } from './lib/settings.js';
+import { PROMPT_VERSION, prepareFile, analyzePrepared } from './lib/pipeline.js';
+import { BUNDLED_EVENTS, loadCustomEvents, saveCustomEvents, readEventFile } from './lib/events.js';
+import { formatBytes } from './lib/imagePreprocess.js';
+import SettingsPanel from './components/SettingsPanel.jsx';
+import EventPicker from './components/EventPicker.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import PassionProfile from './components/PassionProfile.jsx';
+import ItineraryPanel from './components/ItineraryPanel.jsx';
+import AttendeesPanel from './components/AttendeesPanel.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import { parseJsonExport } from './lib/resultsExport.js';
+import { ingestFiles, collectDroppedFiles, collectPastedFiles } from './lib/ingest.js';
+import { buildPassionProfile } from './lib/profile.js';
+import { loadSchedule } from './lib/itinerary.js';
+import { resolveTileSource, topPassion } from './lib/photoMap.js';
+import { parseCaptureTime, buildTimeline } from './lib/timeline.js';
+import { METADATA_FIELDS } from './lib/metadata.js';
+import { sharedGroups } from './lib/privacy.js';
+import ResultsTimeline from './components/ResultsTimeline.jsx';
+import MetadataInspector from './components/MetadataInspector.jsx';
+import PrivacyPanel from './components/PrivacyPanel.jsx';
+import { savePending, removePending, listPending } from './lib/offlineQueue.js';
+import { notify, canNotify, requestNotificationPermission } from './lib/pwa.js';
+import { perceptualHash, groupNearDuplicates } from './lib/perceptualHash.js';
+import PhotoMap from './components/PhotoMap.jsx';
+import KeyframeStrip from './components/KeyframeStrip.jsx';
+import { isVideo } from './lib/videoFrames.js';
+import UsageSummary from './components/UsageSummary.jsx';
+import {
+  EMPTY_USAGE_TOTAL, priceUsage, addUsage, sumUsage, budgetHold, loadSessionUsage, saveSessionUsage, formatCost, formatTokens
+} from './lib/usage.js';
+import {
+  applyTagEdit, buildCorrection, upsertCorrection, loadCorrections, saveCorrections,
+  selectCorrectionExamples
+} from './lib/corrections.js';
 
 // --- Constants and Configuration ---
 
 const MAX_FILES = 25;
-const API_MODEL = "gemini-2.5-flash-preview-09-2025";
-const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${API_MODEL}:generateContent?key=`;
-
-const VERCEL_EMBEDDED_API_KEY = import.meta.env.VITE_GEMINI_API_KEY || '';
-
-const ALL_PASSIONS = [
-  // --- Headline Talks & Thought Leadership ---
-  "Keynote Talks (Main Stage)", "AI & Future Tech", "Business & Leadership", 
-  "Social Impact & Conservation", "Psychedelics & Healing", "Poetry & Storytelling",
-
-  // --- Music & Nightlife ---
-  "Live Music Performances", "DJ Sets & Dance Parties", "Vinyl Listening (Dante's HiFi+)", 
-  "Electronic & House Music", "Hip Hop & Culture", "Sunrise/Sunset Sets",
-
-  // --- Wellness & Embodiment ---
-  "Morning Yoga & Flow", "Functional Fitness (Wimberlean)", "Meditation & Breathwork", 
-  "Neurosculpting & Mindset", "Sound Healing", "Intimacy & Connection Workshops", 
-  "Spa & Recovery",
-
-  // --- Arts & Entertainment ---
-  "Art Installations & Sculpture", "Live Painting", "Comedy Shows", "Interactive Performance", 
-  "Film Screenings", "The Great Bingo Revival",
-
-  // --- Food & Drink ---
-  "Culinary Experiences", "Michelin-Starred Dining", "Community Brunch (Kishi Bros)", 
-  "Mixology & Spirits", "Casual Dining",
-
-  // --- Community & Connection ---
-  "Singles Mixers", "Founder & Investor Meetups", "Climate & Impact Gatherings", 
-  "Women+ Community", "Workshops & Masterclasses",
-
-  // --- Nature & Adventure ---
-  "Ocean & Marine Life", "Caribbean Views", "Sailing & Cruising"
-];
-
-const PROMPT_TEMPLATE = (passionList, metadataContext) => `
-Analyze the provided image and its metadata to recommend specific itinerary items for **Summit at Sea 2024**.
-Metadata Context: ${metadataContext}
-
-The user is attending Summit at Sea 2024. Use the visual cues to map the image to the following specific lineup:
-
-**Key Lineup & Vibe Context:**
-- **Music & Nightlife:** Matches Diplo, Moodymann, D-Nice, Just Blaze, Dante's HiFi+ (Vinyl Listening), Walshy Fire, Natasha Diggs (Soul in the Horn), DJ Whoo Kid, Heimlich Knüller, DRĖĖĖMY, Stolen Nova, or Matthew O. Brimer.
-- **Talks & Ideas:** Matches Megan Rapinoe & Sue Bird, Dr. Mark Hyman (Longevity), Steven Kotler (Flow State), Imran Chaudhri (Humane/AI), Kevin Plank (Under Armour), Jennifer Morris (Nature Conservancy), Robert Thurman (Buddhism), or Fab 5 Freddy.
-- **Wellness & Movement:** Matches Wimberlean (Jason Wimberly), Ziva Meditation (Emily Fletcher), Neurosculpting (Lisa Wimberger), The Class, or Morning Yoga.
-- **Art & Performance:** Matches Leo Villareal (Light Art), Nikolai Haas (Sculpture), J. Ivy (Poetry), The Great Bingo Revival, or Comedy with Ben Gleib.
-- **Food & Community:** Matches Kishi Brothers Brunch, Michelin-inspired dining, Singles Mixers, or Climate Investors Meetup.
-
-**Instructions:**
-1. **Describe** the main activity or vibe of the photo in one concise sentence.
-2. **Map** the image content to the provided Summit at Sea 2024 itinerary items: [${passionList.join(', ')}].
-   - *Example:* A gym/workout photo matches "Functional Fitness (Wimberlean)".
-   - *Example:* A nature/ocean photo matches "Social Impact & Conservation" or "Ocean & Marine Life".
-   - *Example:* A party photo matches "DJ Sets & Dance Parties" or specific vibes like "Electronic & House Music".
-3. **Select** the most relevant itinerary items:
-   - 'High' confidence: Select 1-5 items.
-   - 'Suggested' confidence: Select 1-5 items.
-4. Provide the output only in the requested JSON format.
-`;
-
-const RESPONSE_SCHEMA = {
-  type: "OBJECT",
-  properties: {
-    description: { "type": "STRING", "description": "A brief, 1-sentence summary of the main activity/context found in the photo." },
-    matchedPassions: {
-      "type": "ARRAY",
-      "description": "A list of 2 to 10 itinerary items from the provided list that best match the photo's content, categorized by confidence level (High or Suggested).",
-      "items": {
-        "type": "OBJECT",
-        "properties": {
-          "passionName": { "type": "STRING", "description": "The name of the itinerary item from the provided list." },
-          "confidence": { "type": "STRING", "description": "Must be one of: 'High' or 'Suggested'." }
-        },
-        "required": ["passionName", "confidence"]
-      }
-    }
-  },
-  required: ["description", "matchedPassions"]
-};
 
 // --- Utility Functions ---
 
-const toBase64 = (file) => new Promise((resolve, reject) => {
-  const reader = new FileReader();
-  reader.readAsDataURL(file);
-  reader.onload = () => resolve(reader.result.split(',')[1]);
-  reader.onerror = (error) => reject(error);
-});
-
-const exponentialBackoffFetch = async (url, options, maxRetries = 3) => {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(url, options);
-      if (response.ok) {
-        return response;
-      }
-      if (response.status === 429 && attempt < maxRetries - 1) {
-        const delay = Math.pow(2, attempt) * 1000 + Math.random() * 500;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        console.warn(`Retrying API call in ${delay}ms... (Attempt ${attempt + 1})`);
-        continue;
-      }
-      throw new Error(`API call failed with status: ${response.status} ${response.statusText}`);
-    } catch (error) {
-      if (attempt === maxRetries - 1) {
-        console.error("Fetch failed after all retries:", error);
-        throw error;
-      }
-      const delay = Math.pow(2, attempt) * 1000 + Math.random() * 500;
-      await new Promise(resolve => setTimeout(resolve, delay));
-      console.warn(`Retrying network failure in ${delay}ms... (Attempt ${attempt + 1})`);
-    }
-  }
+// Stable per-file ids for DOM anchors and cross-references between views.
+const fileIds = new WeakMap();
+let nextFileId = 1;
+const getFileId = (file) => {
+  if (!fileIds.has(file)) fileIds.set(file, `photo-${nextFileId++}`);
+  return fileIds.get(file);
 };
 
-
 // --- React Components ---
 
-const ImagePreview = ({ file, isProcessing, onRemove, index }) => {
+const DUPLICATE_COLORS = ['bg-fuchsia-600', 'bg-teal-600', 'bg-orange-600', 'bg-sky-600', 'bg-lime-600', 'bg-rose-600'];
+
+// duplicateGroup is { members, index } when the photo has near-duplicates; members[0] represents the group.
+const ImagePreview = ({ file, isProcessing, isPending, duplicateGroup, analyzeOnce, onRemove, index }) => {
   const [previewUrl, setPreviewUrl] = useState(null);
 
   useEffect(() => {
@@ -137,10 +77,15 @@ const ImagePreview = ({ file, isProcessing, onRemove, index }) => {
     }
   }, [file]);
 
+  // Most browsers can't render HEIC directly; fall back to the placeholder icon.
+  const showPlaceholder = () => setPreviewUrl(null);
+
   return (
     <div className="relative w-full aspect-square rounded-lg overflow-hidden shadow-sm border border-gray-200">
-      {previewUrl ? (
-        <img src={previewUrl} alt={file.name} className="w-full h-full object-cover" />
+      {previewUrl && isVideo(file) ? (
+        <video src={previewUrl} muted playsInline preload="metadata" className="w-full h-full object-cover" onError={showPlaceholder} />
+      ) : previewUrl ? (
+        <img src={previewUrl} alt={file.name} className="w-full h-full object-cover" onError={showPlaceholder} />
       ) : (
         <div className="w-full h-full flex items-center justify-center bg-gray-50">
           <ImageIcon className="w-8 h-8 text-gray-400" />
@@ -151,6 +96,26 @@ const ImagePreview = ({ file, isProcessing, onRemove, index }) => {
           <RefreshCw className="w-6 h-6 text-white animate-spin" />
         </div>
       )}
+      {duplicateGroup && (
+        <span
+          className={`absolute top-1 left-1 text-white text-xs font-semibold py-0.5 px-2 rounded-full shadow ${DUPLICATE_COLORS[duplicateGroup.index % DUPLICATE_COLORS.length]}`}
+          title={duplicateGroup.members[0] === file
+            ? `Similar to ${duplicateGroup.members.length - 1} other ${duplicateGroup.members.length === 2 ? 'photo' : 'photos'}${analyzeOnce ? '; analyzed for the whole group' : ''}`
+            : `Near-duplicate of ${duplicateGroup.members[0].name}${analyzeOnce ? '; takes its result' : ''}`}
+        >
+          ≈{duplicateGroup.index + 1}{duplicateGroup.members[0] === file && analyzeOnce ? ' ★' : ''}
+        </span>
+      )}
+      {isVideo(file) && (
+        <span className="absolute bottom-1 left-1 bg-black/70 text-white rounded-full p-1" title="Video clip: keyframes are analyzed together">
+          <Film className="w-3.5 h-3.5" />
+        </span>
+      )}
+      {isPending && (
+        <div className="absolute inset-x-0 bottom-0 bg-amber-500/90 text-white text-xs font-medium py-1 flex items-center justify-center gap-1" title="Waiting for a connection">
+          <CloudOff className="w-3.5 h-3.5" /> Queued
+        </div>
+      )}
       {onRemove && (
         <button
           onClick={() => onRemove(index)}
@@ -165,16 +130,48 @@ const ImagePreview = ({ file, isProcessing, onRemove, index }) => {
 };
 
 // --- THIS COMPONENT CONTAINS THE FIX ---
-const ResultCard = ({ result, file }) => {
+const FIELD_LABELS = Object.fromEntries(METADATA_FIELDS.map(field => [field.key, field.label]));
+
+// Per-photo summary of what left the browser with the image.
+const SentIndicator = ({ sent }) => {
+  if (!sent) return null;
+  const labels = sent.fields.map(key => FIELD_LABELS[key] || key);
+  return (
+    <p
+      className={`text-xs mb-2 flex items-start gap-1.5 ${sent.embeddedMetadata ? 'text-amber-700' : 'text-gray-500'}`}
+      title="What was sent to the model with this photo"
+    >
+      {sent.embeddedMetadata ? <ShieldAlert className="w-3.5 h-3.5 mt-px flex-shrink-0" /> : <ShieldCheck className="w-3.5 h-3.5 mt-px flex-shrink-0" />}
+      <span>
+        {labels.length > 0 ? `Shared: ${labels.join(', ')}.` : 'No metadata shared.'}
+        {' '}
+        {sent.embeddedMetadata ? 'Original file sent with its embedded metadata.' : 'Image sent without embedded metadata.'}
+        {!sent.fields.includes('location') && ' Location not shared.'}
+      </span>
+    </p>
+  );
+};
+
+const formatCaptureTime = (metadata) => {
+  const capture = parseCaptureTime(metadata.date, metadata.offset);
+  if (!capture) return metadata.date;
+  return `${new Date(`${capture.day}T12:00:00`).toLocaleDateString()} ${capture.clock}${metadata.offset ? ` (UTC${metadata.offset})` : ''}`;
+};
+
+// onEditTag(action, passionName) applies an accept/promote/reject/add/reset correction; passions is the event catalog.
+// keyframes ([{ time, blob }]) is set for video clips; the preview follows the frame picked in the strip.
+const ResultCard = ({ id, result, file, keyframes, onRetry, onOpen, onEditTag, passions = [] }) => {
   const [previewUrl, setPreviewUrl] = useState(null);
+  const [activeFrame, setActiveFrame] = useState(0);
+  const previewBlob = keyframes?.[activeFrame]?.blob || file;
 
   useEffect(() => {
-    if (file) {
-      const url = URL.createObjectURL(file);
+    if (previewBlob) {
+      const url = URL.createObjectURL(previewBlob);
       setPreviewUrl(url);
       return () => URL.revokeObjectURL(url);
     }
-  }, [file]);
+  }, [previewBlob]);
 
   const getConfidenceClass = (confidence) => {
     switch (confidence) {
@@ -188,25 +185,54 @@ const ResultCard = ({ result, file }) => {
   };
 
   const isError = result.error;
-  const { metadata } = result;
+  const { metadata, upload } = result;
 
   return (
-    <div className={`flex flex-col md:flex-row gap-4 p-4 rounded-lg border ${isError ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-white'} shadow-sm`}>
+    <div id={id} className={`scroll-mt-4 flex flex-col md:flex-row gap-4 p-4 rounded-lg border ${isError ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-white'} shadow-sm`}>
       <div className="flex-shrink-0 w-full md:w-36 h-36 rounded-md overflow-hidden bg-gray-100 flex items-center justify-center">
         {previewUrl ? (
-          <img src={previewUrl} alt={result.fileName} className="w-full h-full object-cover" />
+          onOpen ? (
+            <button onClick={onOpen} className="w-full h-full" title="Open in gallery">
+              <img src={previewUrl} alt={result.fileName} className="w-full h-full object-cover hover:opacity-90 transition" onError={() => setPreviewUrl(null)} />
+            </button>
+          ) : (
+            <img src={previewUrl} alt={result.fileName} className="w-full h-full object-cover" onError={() => setPreviewUrl(null)} />
+          )
         ) : (
           <ImageIcon className="w-10 h-10 text-gray-400" />
         )}
       </div>
       <div className="flex-grow">
-        <h3 className="text-xl font-semibold text-gray-800 mb-2">{result.fileName}</h3>
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <h3 className="text-xl font-semibold text-gray-800">
+            {result.fileName}
+            {result.fromCache && !isError && (
+              <span className="ml-2 align-middle text-xs font-medium text-gray-500 bg-gray-100 py-0.5 px-2 rounded-full" title="Reused from your saved history">
+                Saved
+              </span>
+            )}
+            {result.copiedFrom && !isError && (
+              <span className="ml-2 align-middle text-xs font-medium text-fuchsia-700 bg-fuchsia-50 py-0.5 px-2 rounded-full" title={`Near-duplicate: result copied from ${result.copiedFrom}`}>
+                Same as {result.copiedFrom}
+              </span>
+            )}
+          </h3>
+          {onRetry && (
+            <button
+              onClick={onRetry}
+              className={`flex-shrink-0 flex items-center gap-1.5 text-xs font-medium py-1 px-3 rounded-full border transition ${isError ? 'border-red-300 text-red-700 hover:bg-red-100' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}`}
+              title={isError ? 'Retry this photo' : 'Analyze this photo again'}
+            >
+              <RotateCcw className="w-3.5 h-3.5" /> {isError ? 'Retry' : 'Re-analyze'}
+            </button>
+          )}
+        </div>
         
         {metadata && (metadata.date || metadata.camera || metadata.location) && (
           <div className="text-xs text-gray-500 mb-3 flex flex-wrap gap-x-4 gap-y-1 items-center">
             {metadata.date && (
-              <span className="flex items-center gap-1.5" title="Date Taken">
-                <Calendar className="w-3.5 h-3.5" /> {metadata.date}
+              <span className="flex items-center gap-1.5" title={`Date Taken (EXIF: ${metadata.date})`}>
+                <Calendar className="w-3.5 h-3.5" /> {formatCaptureTime(metadata)}
               </span>
             )}
             {metadata.camera && (
@@ -214,10 +240,8 @@ const ResultCard = ({ result, file }) => {
                 <Camera className="w-3.5 h-3.5" /> {metadata.camera}
               </span>
             )}
-            {/* --- FIX IS HERE --- */}
             {metadata.location && (
               <a 
-                // Use the correct, standard Google Maps URL
                 href={`https://www.google.com/maps?q=${metadata.location.lat},${metadata.location.lng}`} 
                 target="_blank" 
                 rel="noopener noreferrer"
@@ -227,10 +251,33 @@ const ResultCard = ({ result, file }) => {
                 <MapPin className="w-3.5 h-3.5" /> View Map
               </a>
             )}
-            {/* --- END FIX --- */}
           </div>
         )}
 
+        {keyframes?.length > 0 && <KeyframeStrip keyframes={keyframes} activeIndex={Math.min(activeFrame, keyframes.length - 1)} onSelect={setActiveFrame} />}
+        <SentIndicator sent={result.sent} />
+        <MetadataInspector metadata={metadata} metadataContext={result.metadataContext} sentFields={result.sent?.fields || null} />
+
+        {upload && upload.bytes < upload.originalBytes && (
+          <p className="text-xs text-gray-500 mb-3 flex items-center gap-1.5" title="Upload size after preprocessing">
+            <Minimize2 className="w-3.5 h-3.5" />
+            Sent {formatBytes(upload.bytes)} instead of {formatBytes(upload.originalBytes)}
+            {upload.width && ` (${upload.width}×${upload.height})`}
+          </p>
+        )}
+
+        {result.usage && (
+          <p
+            className="text-xs text-gray-500 mb-3 flex items-center gap-1.5"
+            title={`${formatTokens(result.usage.inputTokens)} input + ${formatTokens(result.usage.outputTokens)} output tokens${result.usage.model ? ` on ${result.usage.model}` : ''}`}
+          >
+            <Coins className="w-3.5 h-3.5" />
+            {result.usage.metered ? `${formatTokens(result.usage.totalTokens)} tokens` : 'Token count not reported'}
+            {result.usage.calls > 1 && ` in ${result.usage.calls} calls`}
+            {result.usage.cost !== null && ` · ~${formatCost(result.usage.cost)}`}
+          </p>
+        )}
+
         {isError ? (
           <p className="text-red-600 font-medium flex items-center gap-2">
             <AlertTriangle className="w-5 h-5" /> Error: {result.error}
@@ -240,13 +287,61 @@ const ResultCard = ({ result, file }) => {
             <p className="text-gray-600 mb-3 text-sm leading-relaxed">
               <span className="font-medium text-gray-700">Context:</span> {result.description || 'No description provided.'}
             </p>
-            <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-100">
+            <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-100">
               {(result.matchedPassions || []).map((match, i) => (
-                <span key={i} className={`text-xs font-medium py-1 px-3 rounded-full border ${getConfidenceClass(match.confidence)}`}>
+                <span key={i} className={`flex items-center gap-1 text-xs font-medium py-1 px-3 rounded-full border ${getConfidenceClass(match.confidence)} ${match.verdict ? 'ring-1 ring-indigo-300' : ''}`}>
+                  {match.verdict && <Check className="w-3 h-3 text-indigo-600" aria-label={match.verdict === 'added' ? 'Added by you' : 'Confirmed by you'} />}
                   {match.passionName} <span className="text-gray-500">({match.confidence})</span>
+                  {onEditTag && (
+                    <span className="flex items-center ml-1 -mr-1.5">
+                      {match.confidence !== 'High' && (
+                        <button onClick={() => onEditTag('promote', match.passionName)} className="p-0.5 rounded-full hover:bg-white" title="Promote to High">
+                          <ArrowUp className="w-3 h-3" />
+                        </button>
+                      )}
+                      {!match.verdict && (
+                        <button onClick={() => onEditTag('accept', match.passionName)} className="p-0.5 rounded-full hover:bg-white" title="Accept this tag">
+                          <Check className="w-3 h-3" />
+                        </button>
+                      )}
+                      <button onClick={() => onEditTag('reject', match.passionName)} className="p-0.5 rounded-full hover:bg-white" title="Reject this tag">
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  )}
                 </span>
               ))}
+              {onEditTag && (
+                <label className="flex items-center gap-1 text-xs text-gray-500">
+                  <Plus className="w-3.5 h-3.5" />
+                  <select
+                    value=""
+                    onChange={e => e.target.value && onEditTag('add', e.target.value)}
+                    className="text-xs border border-gray-200 rounded-full py-1 px-2 bg-white"
+                    aria-label="Add an itinerary item"
+                  >
+                    <option value="">Add item…</option>
+                    {passions
+                      .filter(passion => !(result.matchedPassions || []).some(match => match.passionName === passion))
+                      .map(passion => <option key={passion} value={passion}>{passion}</option>)}
+                  </select>
+                </label>
+              )}
+              {onEditTag && result.originalPassions && (
+                <button
+                  onClick={() => onEditTag('reset')}
+                  className="flex items-center gap-1 text-xs text-gray-500 hover:text-indigo-600"
+                  title="Restore the model's tags"
+                >
+                  <Undo2 className="w-3.5 h-3.5" /> Undo corrections
+                </button>
+              )}
             </div>
+            {result.rejectedPassions?.length > 0 && (
+              <p className="mt-2 text-xs text-gray-400">
+                Rejected: <span className="line-through">{result.rejectedPassions.join(', ')}</span>
+              </p>
+            )}
           </>
         )}
       </div>
@@ -258,177 +353,742 @@ const ResultCard = ({ result, file }) => {
 
 const App = () => {
   const [selectedFiles, setSelectedFiles] = useState([]);
-  const [results, setResults] = useState([]); // Stores { file, data, error, processing, metadata }
-  const [loading, setLoading] = useState(false);
+  const [results, setResults] = useState([]); // Stores { file, status, data, error, errorKind, metadata, metadataContext, sent, upload, previewBlob, keyframes, usage }
   const [error, setError] = useState(null);
+  const [proxyStatus, setProxyStatus] = useState(null); // { configured, model, models } from GET /api/analyze
+  const [settings, setSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [customEvents, setCustomEvents] = useState(loadCustomEvents);
+  const [queueState, setQueueState] = useState({ paused: false, pending: 0, active: 0 });
+  const [sessionId, setSessionId] = useState(getSessionId);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0); // bumped when history changes, to refresh the panel
+  const [isDragging, setIsDragging] = useState(false);
+  const [resultsView, setResultsView] = useState('timeline'); // 'timeline' | 'list'
+  const [galleryStartId, setGalleryStartId] = useState(null); // file id the open gallery starts on, null when closed
+  const [galleryComponent, setGalleryComponent] = useState(null); // PhotoGallery once its chunk has loaded
+  const [rejectedFiles, setRejectedFiles] = useState([]); // [{ name, reason }] from the last ingestion
+  const [perceptualHashes, setPerceptualHashes] = useState(() => new Map()); // File -> dHash (null if undecodable)
+  const [isOnline, setIsOnline] = useState(() => !isOffline());
+  const [notificationPermission, setNotificationPermission] = useState(() => (canNotify() ? Notification.permission : 'denied'));
+  const [sessionUsage, setSessionUsage] = useState(() => loadSessionUsage(getSessionId())); // running token and cost total
+  const [budgetHeld, setBudgetHeld] = useState(null); // budgetHold reason while the budget has paused the queue
+  const sessionUsageRef = useRef(sessionUsage); // read by the budget gate, which runs outside React
+  const budgetOverrideRef = useRef(false); // "Continue anyway" until the queue next empties
+  const budgetGateRef = useRef(() => true);
+  const drainingRef = useRef(new Set()); // files re-queued from the offline queue, for the "all done" notification
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const queueRef = useRef(null);
+  const selectedFilesRef = useRef(selectedFiles); // ahead of state between an add and the next render
+  selectedFilesRef.current = selectedFiles;
+  const resultsRef = useRef(results); // for async work that must not act on a photo removed or re-queued meanwhile
+  resultsRef.current = results;
 
-  const handleFileChange = (event) => {
-    setError(null);
-    const newFiles = Array.from(event.target.files).filter(file => file.type.startsWith('image/'));
+  if (!queueRef.current) {
+    queueRef.current = createJobQueue({
+      concurrency: settings.concurrency,
+      onChange: setQueueState,
+      beforeStart: (job, snapshot) => budgetGateRef.current(snapshot)
+    });
+  }
 
-    if (fileInputRef.current) {
-      fileInputRef.current.value = null;
+  // Holds the next photo back when it could take the session past the budget; the queue pauses until the user decides.
+  budgetGateRef.current = ({ active }) => {
+    if (budgetOverrideRef.current) return true;
+    const hold = budgetHold(sessionUsageRef.current, settings.usage.budgetUsd, { inFlight: active, prices: settings.usage.prices });
+    if (!hold) return true;
+    setBudgetHeld(hold);
+    return false;
+  };
+
+  useEffect(() => {
+    queueRef.current.setConcurrency(settings.concurrency);
+  }, [settings.concurrency]);
+
+  const loading = queueState.pending + queueState.active > 0;
+
+  useEffect(() => {
+    if (loading) return;
+    budgetOverrideRef.current = false;
+    setBudgetHeld(null);
+  }, [loading]);
+
+  const resumeQueue = ({ overrideBudget = false } = {}) => {
+    if (overrideBudget) budgetOverrideRef.current = true;
+    setBudgetHeld(null);
+    queueRef.current.resume();
+  };
+
+  // usage is a priced photo usage (see usage.js), counted towards the running session total.
+  const recordUsage = (usage) => {
+    const total = addUsage(sessionUsageRef.current, usage);
+    sessionUsageRef.current = total;
+    setSessionUsage(total);
+    saveSessionUsage(sessionId, total);
+  };
+
+  // Adds already-analyzed photos (from history or an import) to the workspace without a model call.
+  const addRestoredEntries = (entries) => {
+    setSelectedFiles(prev => [...prev, ...entries.map(entry => entry.file)].slice(0, MAX_FILES));
+    setResults(prev => [...prev, ...entries]);
+  };
+
+  const restoreRecords = (records) => {
+    addRestoredEntries(records.map(record => ({
+      file: recordToFile(record), status: 'done', data: record.data, error: null, errorKind: null,
+      metadata: record.metadata, metadataContext: record.metadataContext || null, sent: record.sent || null, upload: record.upload,
+      previewBlob: null, keyframes: record.keyframes || null, cacheKey: record.key, fromCache: true,
+      copiedFrom: record.copiedFrom || null
+    })));
+  };
+
+  useEffect(() => {
+    // Bring back the analyses from this browser's current session after a reload.
+    let cancelled = false;
+    listSessionAnalyses(sessionId)
+      .then(records => { if (!cancelled && records.length > 0) restoreRecords(records); })
+      .catch(err => console.warn("Could not restore the previous session:", err));
+    return () => { cancelled = true; };
+  }, []);
+
+  const restoreFromHistory = (record) => {
+    if (results.some(r => r.cacheKey === record.key)) return;
+    if (selectedFiles.length >= MAX_FILES) {
+      setError(`Maximum of ${MAX_FILES} photos allowed. Remove a photo before restoring another.`);
+      return;
+    }
+    restoreRecords([record]);
+    updateAnalysis(record.key, { sessionId })
+      .then(() => setHistoryVersion(v => v + 1))
+      .catch(err => console.warn("Could not update history:", err));
+  };
+
+  const importResultsInputRef = useRef(null);
+
+  const importResults = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = null;
+    if (!file) return;
+    setError(null);
+    try {
+      const { event: exportedEvent, entries } = await parseJsonExport(
+        await file.text(), exported => events.find(ev => ev.id === exported?.id) || null
+      );
+      if (exportedEvent.id !== event.id) {
+        updateSettings({ ...settings, eventId: exportedEvent.id });
+      }
+      const room = MAX_FILES - selectedFiles.length;
+      addRestoredEntries(entries.slice(0, room).map(entry => {
+        const analyzed = entry.status === 'done';
+        return {
+          file: new File([entry.image || new Blob()], entry.fileName, { type: entry.image?.type || 'image/jpeg' }),
+          status: analyzed ? 'done' : 'error',
+          data: analyzed ? { description: entry.description, matchedPassions: entry.matchedPassions } : null,
+          error: analyzed ? null : entry.error || 'Not analyzed in the imported session.',
+          errorKind: null, metadata: entry.metadata, metadataContext: entry.metadataContext || null, sent: entry.sent || null,
+          upload: entry.upload,
+          previewBlob: null, cacheKey: null, fromCache: true
+        };
+      }));
+      if (entries.length > room) {
+        setError(`Imported ${Math.max(room, 0)} of ${entries.length} photos (maximum ${MAX_FILES}).`);
+      }
+    } catch (importError) {
+      console.error("Could not import results:", importError);
+      setError(importError.message);
     }
+  };
 
-    if (selectedFiles.length + newFiles.length > MAX_FILES) {
-      setError(`Maximum of ${MAX_FILES} photos allowed. Please select fewer files.`);
+  // Swiper is only downloaded once someone opens the gallery. Offline, that can fail; opening it again retries.
+  const openGallery = (startId) => {
+    if (galleryComponent) {
+      setGalleryStartId(startId);
       return;
     }
+    import('./components/PhotoGallery.jsx')
+      .then(({ default: PhotoGallery }) => {
+        setGalleryComponent({ PhotoGallery });
+        setGalleryStartId(startId);
+      })
+      .catch(err => {
+        console.error("Could not load the gallery:", err);
+        setError("The gallery could not be loaded. Check your connection and try again.");
+      });
+  };
 
-    setSelectedFiles(prev => {
-      const updated = [...prev, ...newFiles].slice(0, MAX_FILES);
-      if (prev.length !== updated.length) setResults([]);
-      return updated;
-    });
+  const startFreshSession = () => {
+    queueRef.current.cancelAll();
+    setSelectedFiles([]);
+    setResults([]);
+    setError(null);
+    setSessionId(startNewSession());
+    sessionUsageRef.current = EMPTY_USAGE_TOTAL;
+    setSessionUsage(EMPTY_USAGE_TOTAL);
   };
 
-  const removeFile = (indexToRemove) => {
-    if (loading) return;
-    setSelectedFiles(prev => {
-      const updatedFiles = prev.filter((_, i) => i !== indexToRemove);
-      setResults([]);
-      return updatedFiles;
-    });
+  useEffect(() => {
+    let cancelled = false;
+    fetch(ANALYZE_ENDPOINT)
+      .then(response => response.json())
+      .then(status => { if (!cancelled) setProxyStatus(status); })
+      .catch(err => {
+        console.warn("Could not reach the analysis server:", err);
+        if (!cancelled) setProxyStatus({ configured: false, unreachable: true });
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const updateSettings = (next) => {
+    setSettings(next);
+    saveSettings(next);
   };
 
-  const analyzeImages = async () => {
-    if (selectedFiles.length === 0 || loading) return;
+  const events = [...BUNDLED_EVENTS, ...customEvents];
+  const event = events.find(e => e.id === settings.eventId) || events[0];
 
-    const currentApiKey = VERCEL_EMBEDDED_API_KEY; 
-    if (!currentApiKey) {
-      setError("API Key Missing! Please set the VITE_GEMINI_API_KEY environment variable.");
-      return;
+  // The event's session schedule, shared by the itinerary (which imports it) and the attendee suggestions.
+  const [schedule, setSchedule] = useState(() => loadSchedule(event));
+  useEffect(() => {
+    setSchedule(loadSchedule(event));
+  }, [event]);
+
+  const importEvent = async (file) => {
+    setError(null);
+    try {
+      const imported = await readEventFile(file);
+      if (BUNDLED_EVENTS.some(e => e.id === imported.id)) {
+        throw new Error(`Event id '${imported.id}' is already used by a built-in event.`);
+      }
+      const updated = [...customEvents.filter(e => e.id !== imported.id), imported];
+      setCustomEvents(updated);
+      saveCustomEvents(updated);
+      updateSettings({ ...settings, eventId: imported.id });
+    } catch (importError) {
+      console.error("Could not import event:", importError);
+      setError(importError.message);
     }
+  };
 
-    setLoading(true);
+  // Every way of adding photos (picker, folder, drop, paste, ZIP) goes through here.
+  const addFiles = async (candidates) => {
     setError(null);
+    setRejectedFiles([]);
+    if (candidates.length === 0) return;
+    const { accepted, rejected } = await ingestFiles(candidates, { getExisting: () => selectedFilesRef.current, maxFiles: MAX_FILES });
+    setRejectedFiles(rejected);
+    if (accepted.length > 0) {
+      selectedFilesRef.current = [...selectedFilesRef.current, ...accepted];
+      setSelectedFiles(prev => [...prev, ...accepted]);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = null;
+    addFiles(files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    if (!isDragging) setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leave events fired when moving between the drop zone's own children.
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  };
 
-    const processedFilesData = await Promise.all(selectedFiles.map(async (file) => {
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(await collectDroppedFiles(e.dataTransfer));
+  };
+
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+      const pasted = collectPastedFiles(e.clipboardData);
+      if (pasted.length > 0) {
+        e.preventDefault();
+        addFiles(pasted);
+      }
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  const removeFile = (indexToRemove) => {
+    const file = selectedFiles[indexToRemove];
+    if (!file) return;
+    queueRef.current.cancel(file);
+    removePending(file).catch(err => console.warn("Could not update the offline queue:", err));
+    const cacheKey = results.find(r => r.file === file)?.cacheKey;
+    if (cacheKey) {
+      // Keep the analysis in history, but don't bring it back into the workspace on reload.
+      updateAnalysis(cacheKey, { sessionId: null }).catch(err => console.warn("Could not update history:", err));
+    }
+    setSelectedFiles(prev => prev.filter((_, i) => i !== indexToRemove));
+    setResults(prev => prev.filter(r => r.file !== file));
+  };
+
+  const updateResult = (file, patch) => {
+    setResults(prev => prev.map(r => (r.file === file ? { ...r, ...patch } : r)));
+  };
+
+  const cancelledPatch = { status: 'error', error: 'Analysis cancelled.', errorKind: 'cancelled' };
+
+  const markQueued = (files) => {
+    setResults(prev => {
+      const fresh = files.map(file => ({
+        file, status: 'queued', data: null, error: null, errorKind: null, metadata: null, metadataContext: null,
+        sent: null, upload: null, previewBlob: null, keyframes: null, usage: null, cacheKey: null, fromCache: false, copiedFrom: null
+      }));
+      return [...prev.filter(r => !files.includes(r.file)), ...fresh];
+    });
+  };
+
+  // Gives near-duplicates the representative's analysis. Each copy is prepared locally for its own metadata (timeline,
+  // map) and preview, and saved under its own cache key so it survives a reload and keeps its tag corrections.
+  // Nothing is sent for a copy. A target that was removed, cancelled or queued for its own analysis meanwhile is left alone.
+  const copyAnalysis = async (source, data, targets, {
+    provider = getProvider(settings.provider), preprocessing = settings.preprocessing, privacy = settings.privacy, signal
+  } = {}) => {
+    const stillQueued = (target) => !queueRef.current.has(target)
+      && resultsRef.current.find(r => r.file === target)?.status === 'queued';
+    await Promise.all(targets.map(async (target) => {
       try {
-        const [base64Data, tags] = await Promise.all([
-          toBase64(file),
-          ExifReader.load(file).catch(err => {
-            console.warn(`Could not read EXIF data for ${file.name}:`, err);
-            return {};
-          })
-        ]);
-
-        let metadataContext = "No additional metadata available.";
-        let extractedMetadata = { date: null, camera: null, location: null };
-        
-        const date = tags.DateTimeOriginal?.description;
-        const camera = tags.Model?.description;
-        const lat = tags.GPSLatitude?.description;
-        const lng = tags.GPSLongitude?.description;
-
-        let metadataParts = [];
-        if (date) {
-          metadataParts.push(`Date taken: ${date}`);
-          extractedMetadata.date = date;
-        }
-        if (camera) {
-          metadataParts.push(`Camera: ${camera}`);
-          extractedMetadata.camera = camera;
-        }
-        if (lat !== undefined && lng !== undefined) {
-          extractedMetadata.location = { lat, lng };
-          metadataParts.push(`Location: (${lat.toFixed(6)}, ${lng.toFixed(6)})`);
-        }
-        if (metadataParts.length > 0) {
-          metadataContext = "Use the following metadata to improve the analysis: " + metadataParts.join('; ');
+        const contentHash = await hashBlob(target);
+        const prepared = await prepareFile(target, preprocessing, privacy, { restored: getRestoredRecord(target), signal });
+        if (!stillQueued(target)) return;
+        signal?.throwIfAborted();
+        const cacheKey = buildCacheKey({
+          contentHash, event, promptVersion: PROMPT_VERSION, providerId: provider.id, sharedGroups: sharedGroups(privacy)
+        });
+        updateResult(target, {
+          status: 'done', data, metadata: prepared.metadata, metadataContext: null, sent: null, upload: null,
+          previewBlob: prepared.previewBlob, keyframes: prepared.keyframes || null, error: null, errorKind: null,
+          cacheKey, copiedFrom: source.name
+        });
+        await saveAnalysis({
+          key: cacheKey, contentHash, eventId: event.id, eventName: event.name, eventVersion: event.version,
+          promptVersion: PROMPT_VERSION, providerId: provider.id, fileName: target.name, image: prepared.previewBlob,
+          data, metadata: prepared.metadata, metadataContext: null, sent: null, upload: null,
+          keyframes: prepared.keyframes || null, copiedFrom: source.name, sessionId
+        })
+          .then(() => setHistoryVersion(v => v + 1))
+          .catch(err => console.warn("Could not save analysis to history:", err));
+      } catch (copyError) {
+        if (!stillQueued(target)) return;
+        if (isAbortError(copyError)) {
+          updateResult(target, cancelledPatch);
+          return;
         }
-        
-        return { file, base64Data, metadata: extractedMetadata, metadataContext, error: null };
-
-      } catch (preprocessingError) {
-        console.error(`Failed to preprocess ${file.name}:`, preprocessingError);
-        return { file, base64Data: null, metadata: null, metadataContext: null, error: preprocessingError.message || "Failed to read file" };
+        console.error(`Error copying the analysis to ${target.name}:`, copyError);
+        updateResult(target, { status: 'error', error: copyError.message || 'File processing failed', errorKind: copyError.kind || null });
       }
     }));
+  };
 
-    const initialResults = processedFilesData.map(pf => ({
-      file: pf.file,
-      data: null,
-      error: pf.error,
-      processing: !pf.error,
-      metadata: pf.metadata
-    }));
-    setResults(initialResults);
+  // Applies a user correction to one photo's tags, keeps it with the saved analysis and records it as a future example.
+  const editTags = (result, action, passionName) => {
+    const data = applyTagEdit(result.data, action, passionName);
+    updateResult(result.file, { data });
+    if (result.cacheKey) {
+      updateAnalysis(result.cacheKey, { data })
+        .then(() => setHistoryVersion(v => v + 1))
+        .catch(err => console.warn("Could not save the correction to history:", err));
+    }
+    const correction = buildCorrection({
+      key: result.cacheKey || result.file.name,
+      event,
+      fileName: result.file.name,
+      data,
+      capture: parseCaptureTime(result.metadata?.date, result.metadata?.offset)
+    });
+    saveCorrections(upsertCorrection(loadCorrections(), correction, data));
+  };
+
+  // copies maps a representative photo to the near-duplicates that take its result instead of their own model call.
+  const analyzeFiles = (files, { force = false, copies = new Map() } = {}) => {
+    if (files.length === 0) return;
+    setError(null);
 
-    const apiUrlWithKey = API_URL + currentApiKey;
-    let currentResults = [...initialResults];
+    const provider = getProvider(settings.provider);
+    const providerSettings = settings.providers[provider.id];
+    const { preprocessing, privacy } = settings;
+    const queue = queueRef.current;
 
-    for (let i = 0; i < processedFilesData.length; i++) {
-      const pf = processedFilesData[i];
-      
-      if (pf.error) continue; 
-      
-      try {
-        const prompt = PROMPT_TEMPLATE(ALL_PASSIONS, pf.metadataContext);
-        const mimeType = pf.file.type;
-
-        const payload = {
-          contents: [{
-            parts: [
-              { text: prompt },
-              { inlineData: { mimeType, data: pf.base64Data } }
-            ]
-          }],
-          generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: RESPONSE_SCHEMA
+    markQueued([...files, ...[...copies.values()].flat()]);
+
+    files.forEach(file => {
+      const copyTargets = copies.get(file) || [];
+      const skipCopies = (patch) => copyTargets.forEach(target => updateResult(target, patch));
+      const skippedPatch = {
+        status: 'error', error: `Skipped as a near-duplicate of ${file.name}, which was not analyzed.`, errorKind: 'duplicate'
+      };
+
+      queue.enqueue({
+        key: file,
+        onCancel: () => {
+          updateResult(file, cancelledPatch);
+          skipCopies(cancelledPatch);
+        },
+        run: async (signal) => {
+          const settlePending = () => removePending(file).catch(err => console.warn("Could not update the offline queue:", err));
+          updateResult(file, { status: 'processing' });
+          try {
+            const contentHash = await hashBlob(file);
+            const cacheKey = buildCacheKey({
+              contentHash, event, promptVersion: PROMPT_VERSION, providerId: provider.id, sharedGroups: sharedGroups(privacy)
+            });
+            const cached = force ? null : await getAnalysis(cacheKey).catch(err => {
+              console.warn("History lookup failed:", err);
+              return null;
+            });
+            if (cached) {
+              updateResult(file, {
+                status: 'done', data: cached.data, metadata: cached.metadata, metadataContext: cached.metadataContext || null,
+                sent: cached.sent || null, upload: cached.upload, previewBlob: cached.image, keyframes: cached.keyframes || null,
+                cacheKey, fromCache: true
+              });
+              updateAnalysis(cacheKey, { sessionId }).catch(err => console.warn("Could not update history:", err));
+              await copyAnalysis(file, cached.data, copyTargets, { provider, preprocessing, privacy, signal });
+              settlePending();
+              return;
+            }
+
+            const prepared = await prepareFile(file, preprocessing, privacy, { restored: getRestoredRecord(file), signal });
+            updateResult(file, {
+              metadata: prepared.metadata, metadataContext: prepared.metadataContext, sent: prepared.sent,
+              upload: prepared.upload, previewBlob: prepared.previewBlob, keyframes: prepared.keyframes || null
+            });
+            const corrections = selectCorrectionExamples(loadCorrections(), event, {
+              capture: parseCaptureTime(prepared.metadata?.date, prepared.metadata?.offset)
+            });
+            const { analysis, usage: callUsage } = await analyzePrepared({
+              provider, providerSettings, event, prepared, corrections, fileName: file.name, signal
+            });
+            const usage = priceUsage(callUsage, settings.usage.prices);
+            recordUsage(usage);
+            updateResult(file, { status: 'done', data: analysis, usage, cacheKey });
+            await copyAnalysis(file, analysis, copyTargets, { provider, preprocessing, privacy, signal });
+            settlePending();
+
+            saveAnalysis({
+              key: cacheKey, contentHash, eventId: event.id, eventName: event.name, eventVersion: event.version,
+              promptVersion: PROMPT_VERSION, providerId: provider.id, fileName: file.name, image: prepared.previewBlob,
+              data: analysis, metadata: prepared.metadata, metadataContext: prepared.metadataContext, sent: prepared.sent,
+              upload: prepared.upload, keyframes: prepared.keyframes || null, sessionId
+            })
+              .then(() => setHistoryVersion(v => v + 1))
+              .catch(err => console.warn("Could not save analysis to history:", err));
+          } catch (fileError) {
+            if (fileError.usage) {
+              // Calls that failed after the model answered were still billed.
+              const usage = priceUsage(fileError.usage, settings.usage.prices);
+              recordUsage(usage);
+              updateResult(file, { usage });
+            }
+            if (isAbortError(fileError)) {
+              updateResult(file, cancelledPatch);
+              skipCopies(cancelledPatch);
+              settlePending();
+              return;
+            }
+            skipCopies(skippedPatch);
+            if (fileError.kind === 'network') {
+              // No connection: keep the photo (across reloads too) and analyze it once we're back online.
+              updateResult(file, { status: 'pending', force, error: null, errorKind: 'network' });
+              savePending(file, { force }).catch(err => console.warn("Could not save to the offline queue:", err));
+              return;
+            }
+            settlePending();
+            console.error(`Error with file ${file.name}:`, fileError);
+            updateResult(file, { status: 'error', error: fileError.message || 'File processing failed', errorKind: fileError.kind || null });
+            if (fileError.kind === 'quota') {
+              queue.pause();
+              setError("The model quota is exhausted, so analysis is paused. Resume once the quota resets.");
+            }
           }
-        };
+        }
+      });
+    });
+  };
 
-        const response = await exponentialBackoffFetch(apiUrlWithKey, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
+  // Re-runs every photo that is waiting for a connection.
+  const drainPending = () => {
+    const waiting = results.filter(r => r.status === 'pending');
+    if (waiting.length === 0) return;
+    waiting.forEach(r => drainingRef.current.add(r.file));
+    analyzeFiles(waiting.filter(r => !r.force).map(r => r.file));
+    analyzeFiles(waiting.filter(r => r.force).map(r => r.file), { force: true });
+  };
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      drainPending();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  });
 
-        const apiResult = await response.json();
-        const candidate = apiResult.candidates?.[0];
-        const jsonText = candidate?.content?.parts?.[0]?.text;
-
-        if (jsonText) {
-          const parsedJson = JSON.parse(jsonText);
-          currentResults[i] = { ...currentResults[i], data: parsedJson, error: null, processing: false };
-        } else {
-          const errorMessage = apiResult.error?.message || apiResult.error?.details?.[0]?.message || "Model response was empty or malformed.";
-          console.error(`Error processing ${pf.file.name}:`, apiResult);
-          currentResults[i] = { ...currentResults[i], data: null, error: errorMessage, processing: false };
+  useEffect(() => {
+    // Photos queued offline before a reload come back as pending and are retried if we're online now.
+    let cancelled = false;
+    listPending()
+      .then(records => {
+        if (cancelled || records.length === 0) return;
+        addRestoredEntries(records.map(record => ({
+          file: record.file, status: 'pending', force: record.force, data: null, error: null, errorKind: 'network',
+          metadata: null, metadataContext: null, sent: null, upload: null, previewBlob: null, cacheKey: null, fromCache: false
+        })));
+        if (!isOffline()) {
+          records.forEach(record => drainingRef.current.add(record.file));
+          analyzeFiles(records.filter(record => !record.force).map(record => record.file));
+          analyzeFiles(records.filter(record => record.force).map(record => record.file), { force: true });
         }
-      } catch (fileError) {
-        console.error(`Error with file ${pf.file.name}:`, fileError);
-        currentResults[i] = { ...currentResults[i], data: null, error: fileError.message || 'File processing failed', processing: false };
+      })
+      .catch(err => console.warn("Could not restore the offline queue:", err));
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    // Notify once everything re-queued from the offline queue has finished.
+    const draining = drainingRef.current;
+    if (draining.size === 0) return;
+    const tracked = results.filter(r => draining.has(r.file));
+    if (tracked.some(r => isActive(r) || r.status === 'pending')) return;
+    const analyzed = tracked.filter(r => r.status === 'done').length;
+    draining.clear();
+    if (analyzed > 0) {
+      notify('Queued photos analyzed', {
+        body: `${analyzed} ${analyzed === 1 ? 'photo' : 'photos'} analyzed now that you're back online.`,
+        tag: 'offline-queue'
+      });
+    }
+  }, [results]);
+
+  const enableNotifications = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  // --- Near-duplicate detection ---
+
+  const duplicateSettings = settings.duplicates;
+  const updateDuplicateSettings = (patch) => updateSettings({ ...settings, duplicates: { ...duplicateSettings, ...patch } });
+
+  useEffect(() => {
+    if (!duplicateSettings.enabled) return;
+    const missing = selectedFiles.filter(file => !perceptualHashes.has(file));
+    if (missing.length === 0) return;
+    let cancelled = false;
+    (async () => {
+      // One at a time: decoding big photos in parallel would stall the page.
+      for (const file of missing) {
+        // Clips are never near-duplicates of photos; their keyframes only exist once analysis starts.
+        const hash = isVideo(file) ? null : await perceptualHash(file).catch(err => {
+          console.warn(`Could not compare ${file.name} with other photos:`, err);
+          return null;
+        });
+        if (cancelled) return;
+        setPerceptualHashes(prev => new Map(prev).set(file, hash));
       }
+    })();
+    return () => { cancelled = true; };
+  }, [selectedFiles, duplicateSettings.enabled]);
+
+  const duplicateGroups = duplicateSettings.enabled
+    ? groupNearDuplicates(selectedFiles.map(file => ({ key: file, hash: perceptualHashes.get(file) })), duplicateSettings.threshold)
+    : [];
+  const duplicateGroupOf = new Map(duplicateGroups.flatMap((group, index) => group.members.map(file => [file, { ...group, index }])));
+  const isHashing = duplicateSettings.enabled && selectedFiles.some(file => !perceptualHashes.has(file));
 
-      setResults([...currentResults]);
+  const analyzeImages = () => {
+    if (selectedFiles.length === 0 || loading) return;
+    // Offline work finishes later, so this click is the moment to ask about notifications.
+    if (isOffline()) enableNotifications();
+    const remaining = selectedFiles.filter(file => results.find(r => r.file === file)?.status !== 'done');
+    const targets = remaining.length > 0 ? remaining : selectedFiles;
+    if (!duplicateSettings.enabled || !duplicateSettings.analyzeOnce) {
+      analyzeFiles(targets);
+      return;
     }
-    
-    setLoading(false);
+
+    const toAnalyze = [];
+    const copies = new Map();
+    const reused = [];
+    targets.forEach(file => {
+      const representative = duplicateGroupOf.get(file)?.members[0];
+      if (!representative || representative === file) {
+        toAnalyze.push(file);
+      } else if (targets.includes(representative)) {
+        copies.set(representative, [...(copies.get(representative) || []), file]);
+      } else {
+        // The representative was analyzed earlier; reuse its result right away.
+        reused.push([representative, file]);
+      }
+    });
+    markQueued(reused.map(([, file]) => file));
+    reused.forEach(([representative, file]) => copyAnalysis(representative, results.find(r => r.file === representative).data, [file]));
+    analyzeFiles(toAnalyze, { copies });
   };
 
-  const displayApiKey = VERCEL_EMBEDDED_API_KEY;
-  const isButtonDisabled = loading || selectedFiles.length === 0 || !displayApiKey;
-  const numProcessed = results.filter(r => !r.processing && (r.data || r.error)).length;
+  const isServerUnavailable = settings.provider === 'gemini' && proxyStatus?.configured === false;
+  const isButtonDisabled = loading || selectedFiles.length === 0 || isServerUnavailable;
+  const orderedResults = selectedFiles.map(file => results.find(r => r.file === file)).filter(Boolean);
+  const isActive = (r) => r.status === 'queued' || r.status === 'processing';
+  const numInFlight = orderedResults.filter(isActive).length;
+  const hasDone = orderedResults.some(r => r.status === 'done');
+  const batchUsage = sumUsage(orderedResults.map(r => r.usage));
+  const analyzedResults = orderedResults.filter(r => r.status === 'done' && r.data);
+  // Each group of near-duplicates counts as one photo, so a burst of shots doesn't skew the ranking.
+  const analyzedInGroup = (group) => group.members.filter(file => analyzedResults.some(r => r.file === file)).length;
+  const passionProfile = buildPassionProfile(
+    analyzedResults.map(r => {
+      const group = duplicateGroupOf.get(r.file);
+      return {
+        id: getFileId(r.file), matchedPassions: r.data.matchedPassions,
+        weight: group ? 1 / analyzedInGroup(group) : 1, groupKey: group ? getFileId(group.members[0]) : null
+      };
+    }),
+    event
+  );
+  const profilePhotos = new Map(analyzedResults.map(r => [getFileId(r.file), {
+    blob: r.previewBlob || r.file, name: r.file.name, domId: getFileId(r.file)
+  }]));
+  const mapPhotos = analyzedResults.filter(r => r.metadata?.location).map(r => ({
+    id: getFileId(r.file),
+    domId: getFileId(r.file),
+    name: r.file.name,
+    lat: r.metadata.location.lat,
+    lng: r.metadata.location.lng,
+    takenAt: parseCaptureTime(r.metadata.date, r.metadata.offset)?.ms ?? null,
+    passionName: topPassion(r.data.matchedPassions)
+  }));
+  const galleryItems = analyzedResults.map(r => ({
+    id: getFileId(r.file),
+    name: r.file.name,
+    blob: r.previewBlob || r.file,
+    description: r.data.description,
+    matchedPassions: r.data.matchedPassions
+  }));
+  const finishedResults = orderedResults.filter(r => !isActive(r) && r.status !== 'pending');
+  const pendingCount = orderedResults.filter(r => r.status === 'pending').length;
+  const timeline = buildTimeline(finishedResults.map(r => ({
+    id: getFileId(r.file),
+    capture: parseCaptureTime(r.metadata?.date, r.metadata?.offset),
+    matchedPassions: r.data?.matchedPassions || [],
+    result: r
+  })), event);
+  const renderResultCard = (result) => (
+    <ResultCard 
+      key={getFileId(result.file)} 
+      id={getFileId(result.file)}
+      result={{ 
+        ...result.data, 
+        fileName: result.file.name, 
+        error: result.error,
+        metadata: result.metadata,
+        metadataContext: result.metadataContext,
+        sent: result.sent,
+        upload: result.upload,
+        fromCache: result.fromCache,
+        copiedFrom: result.copiedFrom
+      }} 
+      file={result.previewBlob || result.file} 
+      keyframes={result.keyframes}
+      onRetry={() => analyzeFiles([result.file], { force: result.status === 'done' })}
+      onOpen={result.status === 'done' && result.data ? () => openGallery(getFileId(result.file)) : null}
+      onEditTag={result.status === 'done' && result.data ? (action, passionName) => editTags(result, action, passionName) : null}
+      passions={event.passions}
+    />
+  );
+  const remainingCount = selectedFiles.length - orderedResults.filter(r => r.status === 'done').length;
+  const uploadTotals = results.reduce((totals, r) => r.upload ? {
+    originalBytes: totals.originalBytes + r.upload.originalBytes,
+    bytes: totals.bytes + r.upload.bytes
+  } : totals, { originalBytes: 0, bytes: 0 });
 
   return (
     <div className="min-h-screen bg-white text-gray-900 font-sans">
       <div className="max-w-4xl mx-auto px-4 py-8 sm:px-6 lg:px-8">
         
-        <header className="text-center mb-12">
+        <header className="relative text-center mb-12">
+          <button
+            onClick={() => setShowSettings(prev => !prev)}
+            className="absolute top-0 right-0 p-2 text-gray-500 hover:text-indigo-600 rounded-full hover:bg-gray-100 transition"
+            aria-label="Settings"
+            title={`Provider: ${getProvider(settings.provider).label}`}
+          >
+            <Settings className="w-6 h-6" />
+          </button>
+          <button
+            onClick={() => setShowHistory(prev => !prev)}
+            className="absolute top-0 right-12 p-2 text-gray-500 hover:text-indigo-600 rounded-full hover:bg-gray-100 transition"
+            aria-label="History"
+            title="Saved analyses"
+          >
+            <History className="w-6 h-6" />
+          </button>
+          <button
+            onClick={() => setShowPrivacy(prev => !prev)}
+            className="absolute top-0 right-24 p-2 text-gray-500 hover:text-indigo-600 rounded-full hover:bg-gray-100 transition"
+            aria-label="Privacy"
+            title={settings.privacy.share.location ? 'Privacy: location is shared' : 'Privacy: location is not shared'}
+          >
+            <Shield className="w-6 h-6" />
+          </button>
           <h1 className="text-4xl sm:text-5xl font-extrabold text-gray-800 flex flex-col items-center justify-center gap-2">
             Summit Photo Passions
           </h1>
           <p className="text-gray-600 mt-3 text-lg sm:text-xl">Discover the passions hidden in your travel photos.</p>
+          <EventPicker
+            events={events}
+            selectedId={event.id}
+            onSelect={id => updateSettings({ ...settings, eventId: id })}
+            onImport={importEvent}
+            disabled={loading}
+          />
         </header>
 
-        {!displayApiKey && (
+        {showSettings && (
+          <SettingsPanel
+            settings={settings}
+            onChange={updateSettings}
+            onClose={() => setShowSettings(false)}
+            proxyStatus={proxyStatus}
+          />
+        )}
+
+        {showPrivacy && (
+          <PrivacyPanel settings={settings} onChange={updateSettings} onClose={() => setShowPrivacy(false)} />
+        )}
+
+        {showHistory && (
+          <HistoryPanel
+            onClose={() => setShowHistory(false)}
+            onRestore={restoreFromHistory}
+            onNewSession={startFreshSession}
+            workspaceKeys={results.map(r => r.cacheKey).filter(Boolean)}
+            refreshToken={historyVersion}
+          />
+        )}
+
+        {isServerUnavailable && (
           <div className="mb-8 p-4 bg-yellow-100 text-yellow-800 rounded-lg border border-yellow-300 font-medium text-center flex items-center justify-center gap-2">
             <AlertTriangle className="w-5 h-5" /> 
-            **API Key Required:** Please deploy to Vercel and set the `VITE_GEMINI_API_KEY` environment variable.
+            {proxyStatus.unreachable
+              ? "Analysis server unreachable. Start the app with `npm start` or deploy the /api routes."
+              : "Analysis server not configured. Set GEMINI_API_KEY on the server (or GEMINI_UPSTREAM=stub for local testing)."}
           </div>
         )}
 
@@ -438,17 +1098,25 @@ const App = () => {
           </h2>
           <label
             htmlFor="file-upload"
-            className="flex flex-col items-center justify-center p-10 border-2 border-dashed border-indigo-300 rounded-lg cursor-pointer hover:bg-indigo-50 transition duration-200 text-center"
+            onDragEnter={handleDragOver}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+            className={`flex flex-col items-center justify-center p-10 border-2 border-dashed rounded-lg cursor-pointer transition duration-200 text-center ${
+              isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-indigo-300 hover:bg-indigo-50'
+            }`}
           >
             <Upload className="w-12 h-12 text-indigo-500 mb-4" />
-            <p className="text-indigo-600 font-medium text-lg">Click to browse or drag your photos here</p>
+            <p className="text-indigo-600 font-medium text-lg">
+              {isDragging ? 'Drop to add your photos' : 'Click to browse, drag photos or folders here, or paste'}
+            </p>
             <p className="text-sm text-gray-500 mt-2">
-              JPG, PNG, GIF up to {MAX_FILES} files
+              JPG, PNG, HEIC, GIF, short video clips or a ZIP of photos, up to {MAX_FILES} files
             </p>
             <input
               id="file-upload"
               type="file"
-              accept="image/*"
+              accept="image/*,video/*,.heic,.heif,.zip,application/zip"
               multiple
               onChange={handleFileChange}
               className="hidden"
@@ -456,15 +1124,98 @@ const App = () => {
             />
           </label>
 
+          <div className="mt-3 text-center">
+            <button
+              onClick={() => folderInputRef.current?.click()}
+              className="inline-flex items-center gap-1.5 text-sm text-indigo-600 hover:underline"
+            >
+              <FolderOpen className="w-4 h-4" /> Select a folder
+            </button>
+            <input ref={folderInputRef} type="file" webkitdirectory="" multiple className="hidden" onChange={handleFileChange} />
+          </div>
+
+          {rejectedFiles.length > 0 && (
+            <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md text-sm">
+              <div className="flex items-start justify-between gap-3">
+                <p className="font-medium">Skipped {rejectedFiles.length} file{rejectedFiles.length === 1 ? '' : 's'}:</p>
+                <button onClick={() => setRejectedFiles([])} className="text-yellow-700 hover:text-yellow-900" aria-label="Dismiss">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <ul className="mt-1 list-disc list-inside max-h-32 overflow-y-auto">
+                {rejectedFiles.map((rejection, i) => (
+                  <li key={`${rejection.name}-${i}`}><span className="font-mono">{rejection.name}</span> – {rejection.reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="mt-2 text-center">
+            <button
+              onClick={() => importResultsInputRef.current?.click()}
+              className="inline-flex items-center gap-1.5 text-sm text-indigo-600 hover:underline"
+            >
+              <FileUp className="w-4 h-4" /> Import a previous results export (.json)
+            </button>
+            <input ref={importResultsInputRef} type="file" accept="application/json,.json" className="hidden" onChange={importResults} />
+          </div>
+
           {error && <div className="mt-6 p-4 bg-red-100 text-red-700 rounded-md font-medium">{error}</div>}
 
+          {selectedFiles.length > 1 && (
+            <div className="mt-6 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-600">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={duplicateSettings.enabled}
+                  onChange={e => updateDuplicateSettings({ enabled: e.target.checked })}
+                />
+                Detect similar photos
+              </label>
+              {duplicateSettings.enabled && (
+                <>
+                  <label className="flex items-center gap-2" title="How different two photos may be and still count as near-duplicates">
+                    Tolerance
+                    <input
+                      type="range"
+                      min="0"
+                      max="20"
+                      value={duplicateSettings.threshold}
+                      onChange={e => updateDuplicateSettings({ threshold: Number(e.target.value) })}
+                    />
+                    <span className="w-6 text-right tabular-nums">{duplicateSettings.threshold}</span>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={duplicateSettings.analyzeOnce}
+                      onChange={e => updateDuplicateSettings({ analyzeOnce: e.target.checked })}
+                    />
+                    Analyze one photo per group
+                  </label>
+                  <span className="flex items-center gap-1.5 text-gray-500">
+                    {isHashing && <RefreshCw className="w-3.5 h-3.5 animate-spin" />}
+                    {isHashing
+                      ? 'Comparing photos…'
+                      : duplicateGroups.length > 0
+                        ? `${duplicateGroups.length} ${duplicateGroups.length === 1 ? 'group' : 'groups'} of similar photos (${duplicateGroups.reduce((sum, group) => sum + group.members.length, 0)} photos)`
+                        : 'No similar photos'}
+                  </span>
+                </>
+              )}
+            </div>
+          )}
+
           {selectedFiles.length > 0 && (
             <div className="mt-8 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
               {selectedFiles.map((file, index) => (
                 <ImagePreview
                   key={file.name + index}
                   file={file}
-                  isProcessing={results.find(r => r.file === file)?.processing || false}
+                  isProcessing={results.some(r => r.file === file && isActive(r))}
+                  isPending={results.some(r => r.file === file && r.status === 'pending')}
+                  duplicateGroup={duplicateGroupOf.get(file)}
+                  analyzeOnce={duplicateSettings.analyzeOnce}
                   onRemove={removeFile}
                   index={index}
                 />
@@ -487,41 +1238,120 @@ const App = () => {
             >
               {loading ? (
                 <>
-                  <RefreshCw className="w-6 h-6 animate-spin" />
-                  Analyzing {Math.min(numProcessed + 1, selectedFiles.length)} of {selectedFiles.length} photos...
+                  <RefreshCw className={`w-6 h-6 ${queueState.paused ? '' : 'animate-spin'}`} />
+                  {queueState.paused ? 'Paused' : 'Analyzing'}: {numInFlight} of {selectedFiles.length} photos left...
                 </>
               ) : (
                 <>
                   <Sparkles className="w-6 h-6" />
-                  Analyze Photos
+                  {hasDone && remainingCount > 0 ? `Analyze ${remainingCount} Remaining` : hasDone ? 'Re-analyze All' : 'Analyze Photos'}
                 </>
               )}
             </button>
+
+            {loading && (
+              <div className="mt-4 flex items-center justify-center gap-3">
+                <button
+                  onClick={() => (queueState.paused ? resumeQueue() : queueRef.current.pause())}
+                  className="flex items-center gap-2 py-2 px-5 rounded-full border border-gray-300 text-gray-700 font-medium hover:bg-gray-100 transition"
+                >
+                  {queueState.paused ? <><Play className="w-4 h-4" /> Resume</> : <><Pause className="w-4 h-4" /> Pause</>}
+                </button>
+                <button
+                  onClick={() => queueRef.current.cancelAll()}
+                  className="flex items-center gap-2 py-2 px-5 rounded-full border border-red-200 text-red-600 font-medium hover:bg-red-50 transition"
+                >
+                  <Square className="w-4 h-4" /> Cancel
+                </button>
+              </div>
+            )}
+
+            {(batchUsage.photos > 0 || sessionUsage.photos > 0 || settings.usage.budgetUsd > 0) && (
+              <UsageSummary
+                batch={batchUsage}
+                session={sessionUsage}
+                budgetUsd={settings.usage.budgetUsd}
+                budgetHeld={queueState.paused ? budgetHeld : null}
+                onContinue={() => resumeQueue({ overrideBudget: true })}
+                onEditBudget={() => {
+                  setShowSettings(true);
+                  window.scrollTo({ top: 0, behavior: 'smooth' });
+                }}
+              />
+            )}
+
+            {(!isOnline || pendingCount > 0) && (
+              <div className="mt-4 p-3 rounded-md bg-amber-50 border border-amber-200 text-amber-800 text-sm flex flex-wrap items-center justify-center gap-x-3 gap-y-2">
+                <span className="flex items-center gap-2">
+                  <CloudOff className="w-4 h-4 flex-shrink-0" />
+                  {!isOnline
+                    ? (pendingCount > 0
+                      ? `You're offline. ${pendingCount} ${pendingCount === 1 ? 'photo is' : 'photos are'} queued and will be analyzed automatically when the connection returns.`
+                      : "You're offline. Photos you analyze now are queued until the connection returns.")
+                    : `${pendingCount} ${pendingCount === 1 ? 'photo is' : 'photos are'} waiting for a connection.`}
+                </span>
+                {isOnline && pendingCount > 0 && !loading && (
+                  <button onClick={drainPending} className="font-medium underline hover:text-amber-900">Retry now</button>
+                )}
+                {notificationPermission === 'default' && (
+                  <button onClick={enableNotifications} className="font-medium underline hover:text-amber-900">Notify me when done</button>
+                )}
+              </div>
+            )}
           </section>
         )}
 
+        {/* --- Aggregated Profile --- */}
+        {analyzedResults.length > 0 && <PassionProfile profile={passionProfile} photos={profilePhotos} />}
+        {/* Always shown: the schedule also feeds the attendee matches below, which work without any photos. */}
+        <ItineraryPanel event={event} profile={passionProfile} schedule={schedule} onScheduleChange={setSchedule} />
+        {mapPhotos.length > 0 && <PhotoMap photos={mapPhotos} tileSource={resolveTileSource(settings.map)} />}
+
+        {/* --- Attendees & Connections (imported profiles work without any photos of your own) --- */}
+        <AttendeesPanel event={event} profile={passionProfile} schedule={schedule} />
+
         {/* --- Results Display Area --- */}
-        {results.length > 0 && (
+        {orderedResults.length > 0 && (
           <section className="p-6 bg-white rounded-lg shadow-md border border-gray-100">
             <h2 className="text-2xl font-semibold text-gray-800 mb-6 border-b pb-4 flex items-center gap-3">
               <Sparkles className="w-6 h-6 text-indigo-500" /> Your Photo Passions
+              {uploadTotals.bytes < uploadTotals.originalBytes && (
+                <span className="ml-auto text-sm font-normal text-gray-500">
+                  Saved {formatBytes(uploadTotals.originalBytes - uploadTotals.bytes)} of uploads
+                  ({Math.round((1 - uploadTotals.bytes / uploadTotals.originalBytes) * 100)}%)
+                </span>
+              )}
             </h2>
+            <div className="flex flex-wrap items-start justify-between gap-3">
+              <div className="flex flex-wrap items-start gap-3">
+                <ExportMenu event={event} results={finishedResults} profile={passionProfile} />
+                {galleryItems.length > 0 && (
+                  <button
+                    onClick={() => openGallery(galleryItems[0].id)}
+                    className="flex items-center gap-1.5 text-sm font-medium py-1.5 px-3 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 transition mb-6"
+                  >
+                    <GalleryHorizontal className="w-4 h-4" /> Gallery
+                  </button>
+                )}
+              </div>
+              <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm mb-6" role="group" aria-label="Results view">
+                {[['timeline', 'Timeline', Clock], ['list', 'List', List]].map(([view, label, Icon]) => (
+                  <button
+                    key={view}
+                    onClick={() => setResultsView(view)}
+                    aria-pressed={resultsView === view}
+                    className={`flex items-center gap-1.5 py-1.5 px-3 transition ${resultsView === view ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+                  >
+                    <Icon className="w-4 h-4" /> {label}
+                  </button>
+                ))}
+              </div>
+            </div>
             <div className="space-y-6">
-              {results.map((result, index) => (
-                (!result.processing && (result.data || result.error)) && (
-                  <ResultCard 
-                    key={result.file.name + index} 
-                    result={{ 
-                      ...result.data, 
-                      fileName: result.file.name, 
-                      error: result.error,
-                      metadata: result.metadata
-                    }} 
-                    file={result.file} 
-                  />
-                )
-              ))}
-              {loading && results.some(r => r.processing) && (
+              {resultsView === 'timeline'
+                ? <ResultsTimeline timeline={timeline} renderCard={entry => renderResultCard(entry.result)} />
+                : finishedResults.map(renderResultCard)}
+              {loading && orderedResults.some(isActive) && (
                  <div className="flex items-center justify-center py-6 text-gray-500 text-lg">
                    <RefreshCw className="w-5 h-5 animate-spin mr-3" /> Still processing some images...
                  </div>
@@ -529,6 +1359,15 @@ const App = () => {
             </div>
           </section>
         )}
+
+        {galleryComponent && galleryStartId && galleryItems.length > 0 && (
+          <galleryComponent.PhotoGallery
+            items={galleryItems}
+            event={event}
+            initialId={galleryStartId}
+            onClose={() => setGalleryStartId(null)}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,168 @@
+import React, { useState, useRef } from 'react';
+import { Users, Download, FileUp, X, MapPin, Handshake } from 'lucide-react';
+import {
+  buildAttendeeFile, parseAttendeeFile, attendeeFromProfile, suggestConnections,
+  loadAttendees, saveAttendees, loadAttendeeName, saveAttendeeName
+} from '../lib/attendees.js';
+import { sessionDay, sessionClock } from '../lib/itinerary.js';
+import { downloadBlob, slugify } from '../lib/download.js';
+
+const buttonClass = "flex items-center gap-1.5 text-sm py-1.5 px-3 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 transition disabled:opacity-50";
+
+const formatSessionTime = (session) => `${new Date(`${sessionDay(session)}T12:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short'
+})} ${sessionClock(session.start)}`;
+
+// profile is the current user's buildPassionProfile result (photoCount 0 until photos are analyzed);
+// schedule is the event's schedule from the itinerary, or null.
+const AttendeesPanel = ({ event, profile, schedule }) => {
+  const [name, setName] = useState(loadAttendeeName);
+  const [attendees, setAttendees] = useState(loadAttendees);
+  const [errors, setErrors] = useState([]);
+  const importInputRef = useRef(null);
+
+  const eventAttendees = attendees.filter(attendee => attendee.eventId === event.id);
+  const hasOwnProfile = profile.photoCount > 0;
+  const everyone = hasOwnProfile
+    ? [attendeeFromProfile({ name: name.trim() || 'You', event, profile }), ...eventAttendees]
+    : eventAttendees;
+  const suggestions = suggestConnections(everyone, event, { schedule });
+
+  const updateAttendees = (updated) => {
+    setAttendees(updated);
+    saveAttendees(updated);
+  };
+
+  const updateName = (value) => {
+    setName(value);
+    saveAttendeeName(value);
+  };
+
+  const exportProfile = () => {
+    const file = buildAttendeeFile({ name: name.trim(), event, profile });
+    downloadBlob(new Blob([file], { type: 'application/json' }), `${slugify(name)}-${slugify(event.name)}-profile.json`);
+  };
+
+  const handleImport = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = null;
+    const imported = [];
+    const failures = [];
+    for (const file of files) {
+      try {
+        imported.push(parseAttendeeFile(await file.text(), event));
+      } catch (importError) {
+        console.error(`Could not import ${file.name}:`, importError);
+        failures.push(`${file.name}: ${importError.message}`);
+      }
+    }
+    setErrors(failures);
+    if (imported.length > 0) {
+      // Re-importing someone's file replaces their earlier profile.
+      const ids = new Set(imported.map(attendee => attendee.id));
+      updateAttendees([...attendees.filter(attendee => !ids.has(attendee.id)), ...imported]);
+    }
+  };
+
+  return (
+    <section className="mb-12 p-6 bg-white rounded-lg shadow-md border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center gap-3">
+          <Users className="w-6 h-6 text-indigo-500" /> Attendees &amp; Connections
+        </h2>
+        <button onClick={() => importInputRef.current?.click()} className={buttonClass}>
+          <FileUp className="w-4 h-4" /> Import profiles
+        </button>
+        <input type="file" ref={importInputRef} onChange={handleImport} accept="application/json,.json" multiple className="hidden" />
+      </div>
+
+      <p className="text-sm text-gray-500 mb-4">
+        Share your passion profile as a file and import other attendees' files to see who you should meet.
+        Profiles stay in this browser; nothing is uploaded.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-6">
+        <label className="text-sm text-gray-700">
+          <span className="block font-medium mb-1">Your name</span>
+          <input
+            type="text"
+            value={name}
+            onChange={e => updateName(e.target.value)}
+            placeholder="Name shown to others"
+            className="border border-gray-300 rounded-md py-1.5 px-3 text-sm"
+          />
+        </label>
+        <button onClick={exportProfile} disabled={!hasOwnProfile || !name.trim()} className={buttonClass}
+          title={hasOwnProfile ? 'Download your profile to share' : 'Analyze some photos first'}>
+          <Download className="w-4 h-4" /> Export my profile
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mb-4 text-sm text-red-600 space-y-1">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+
+      {eventAttendees.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mb-6">
+          {eventAttendees.map(attendee => (
+            <li key={attendee.id} className="flex items-center gap-1.5 text-sm py-1 px-3 rounded-full bg-indigo-50 text-indigo-800">
+              {attendee.name}
+              {attendee.photoCount !== null && <span className="text-indigo-400 text-xs">{attendee.photoCount} photos</span>}
+              <button
+                onClick={() => updateAttendees(attendees.filter(other => other.id !== attendee.id))}
+                className="text-indigo-400 hover:text-indigo-700"
+                aria-label={`Remove ${attendee.name}`}
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {everyone.length < 2 ? (
+        <p className="text-sm text-gray-500 italic">Import at least one other profile to get suggestions.</p>
+      ) : suggestions.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No strong overlaps yet between these profiles.</p>
+      ) : (
+        <ol className="space-y-4">
+          {suggestions.map(suggestion => (
+            <li key={`${suggestion.a.id}|${suggestion.b.id}`} className="p-4 rounded-lg border border-gray-200">
+              <div className="flex flex-wrap items-baseline justify-between gap-2 mb-1">
+                <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+                  <Handshake className="w-4 h-4 text-indigo-500" /> {suggestion.a.name} &amp; {suggestion.b.name}
+                </h3>
+                <span className="text-xs font-medium text-indigo-700 bg-indigo-50 py-0.5 px-2 rounded-full">
+                  {Math.round(suggestion.similarity * 100)}% match
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 mb-2">{suggestion.explanation}</p>
+              {suggestion.sessions.length > 0 ? (
+                <ul className="text-sm space-y-1">
+                  {suggestion.sessions.map(session => (
+                    <li key={session.id} className="flex flex-wrap items-center gap-x-2 text-gray-700">
+                      <span className="font-medium">{formatSessionTime(session)}</span>
+                      <span>{session.title}</span>
+                      {session.venue && (
+                        <span className="flex items-center gap-1 text-gray-500"><MapPin className="w-3.5 h-3.5" /> {session.venue}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  Meet at: {suggestion.shared.slice(0, 3).map(item => item.passionName).join(', ')}
+                  {!schedule && ' (load a schedule in the itinerary to see sessions)'}
+                </p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default AttendeesPanel;
@@ -0,0 +1,40 @@
+import React, { useRef } from 'react';
+import { CalendarDays, FileUp } from 'lucide-react';
+
+const EventPicker = ({ events, selectedId, onSelect, onImport, disabled }) => {
+  const importInputRef = useRef(null);
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = null;
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="mt-6 flex flex-wrap items-center justify-center gap-2 text-sm">
+      <label htmlFor="event-picker" className="flex items-center gap-1.5 font-medium text-gray-700">
+        <CalendarDays className="w-4 h-4 text-indigo-500" /> Event
+      </label>
+      <select
+        id="event-picker"
+        value={selectedId}
+        onChange={e => onSelect(e.target.value)}
+        disabled={disabled}
+        className="px-3 py-1.5 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-300"
+      >
+        {events.map(event => <option key={event.id} value={event.id}>{event.name}</option>)}
+      </select>
+      <button
+        onClick={() => importInputRef.current?.click()}
+        disabled={disabled}
+        className="flex items-center gap-1.5 px-3 py-1.5 text-indigo-600 border border-indigo-200 rounded-md hover:bg-indigo-50 transition disabled:opacity-50"
+        title="Load an event definition (.json)"
+      >
+        <FileUp className="w-4 h-4" /> Load event file
+      </button>
+      <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+    </div>
+  );
+};
+
+export default EventPicker;
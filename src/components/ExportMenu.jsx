@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Download, FileJson, FileSpreadsheet, FileText, Printer, RefreshCw } from 'lucide-react';
+import { buildExportEntries, buildJsonExport, buildCsvExport, buildHtmlReport } from '../lib/resultsExport.js';
+import { downloadBlob, slugify } from '../lib/download.js';
+
+const buttonClass = "flex items-center gap-1.5 text-sm py-1.5 px-3 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 transition disabled:opacity-50";
+
+const ExportMenu = ({ event, results, profile }) => {
+  const [busy, setBusy] = useState(false);
+  const baseName = `${slugify(event.name)}-photo-passions`;
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      // CSV needs no thumbnails; skip the image work for it.
+      const entries = action === 'csv'
+        ? results.map(r => ({
+          fileName: r.file.name, status: r.status, error: r.error, metadata: r.metadata, upload: r.upload,
+          description: r.data?.description || null, matchedPassions: r.data?.matchedPassions || []
+        }))
+        : await buildExportEntries(results);
+
+      if (action === 'json') {
+        downloadBlob(new Blob([buildJsonExport({ event, entries })], { type: 'application/json' }), `${baseName}.json`);
+      } else if (action === 'csv') {
+        downloadBlob(new Blob([buildCsvExport({ entries })], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+      } else {
+        const html = buildHtmlReport({ event, entries, profile, autoPrint: action === 'print' });
+        if (action === 'html') {
+          downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${baseName}.html`);
+        } else {
+          // The report prints itself once its thumbnails have loaded; "Save as PDF" gives a PDF.
+          const reportWindow = window.open('', '_blank');
+          if (!reportWindow) throw new Error("Allow pop-ups to print the report.");
+          reportWindow.document.write(html);
+          reportWindow.document.close();
+        }
+      }
+    } catch (error) {
+      console.error("Export failed:", error);
+      window.alert(`Export failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6">
+      <span className="text-sm font-medium text-gray-600 flex items-center gap-1.5">
+        {busy ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />} Export
+      </span>
+      <button className={buttonClass} disabled={busy} onClick={() => run('json')}><FileJson className="w-4 h-4" /> JSON</button>
+      <button className={buttonClass} disabled={busy} onClick={() => run('csv')}><FileSpreadsheet className="w-4 h-4" /> CSV</button>
+      <button className={buttonClass} disabled={busy} onClick={() => run('html')}><FileText className="w-4 h-4" /> Report</button>
+      <button className={buttonClass} disabled={busy} onClick={() => run('print')}><Printer className="w-4 h-4" /> Print / PDF</button>
+    </div>
+  );
+};
+
+export default ExportMenu;
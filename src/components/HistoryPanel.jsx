@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { History, X, Trash2, Plus, RefreshCw } from 'lucide-react';
+import { listAnalyses, deleteAnalysis, clearAnalyses } from '../lib/historyStore.js';
+import Thumbnail from './Thumbnail.jsx';
+
+const HistoryPanel = ({ onClose, onRestore, onNewSession, workspaceKeys, refreshToken }) => {
+  const [records, setRecords] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = () => {
+    listAnalyses()
+      .then(setRecords)
+      .catch(err => {
+        console.error("Could not load history:", err);
+        setError("Could not open local history. Private browsing may block storage.");
+      });
+  };
+
+  useEffect(reload, [refreshToken]);
+
+  const handleDelete = async (key) => {
+    setError(null);
+    try {
+      await deleteAnalysis(key);
+      reload();
+    } catch (err) {
+      console.error("Could not delete the analysis:", err);
+      setError("Could not delete the saved analysis. Private browsing may block storage.");
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm("Delete every saved analysis on this device?")) return;
+    setError(null);
+    try {
+      await clearAnalyses();
+      reload();
+    } catch (err) {
+      console.error("Could not clear history:", err);
+      setError("Could not clear local history. Private browsing may block storage.");
+    }
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4 gap-3">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+          <History className="w-5 h-5 text-indigo-500" /> History
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onNewSession}
+            className="text-sm py-1.5 px-3 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 transition"
+          >
+            Start new session
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={!records?.length}
+            className="text-sm py-1.5 px-3 rounded-md border border-red-200 text-red-600 hover:bg-red-50 transition disabled:opacity-50"
+          >
+            Clear all
+          </button>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" aria-label="Close history">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {!error && records === null && (
+        <p className="text-sm text-gray-500 flex items-center gap-2"><RefreshCw className="w-4 h-4 animate-spin" /> Loading...</p>
+      )}
+      {records?.length === 0 && <p className="text-sm text-gray-500">No saved analyses yet.</p>}
+
+      {records?.length > 0 && (
+        <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+          {records.map(record => {
+            const inWorkspace = workspaceKeys.includes(record.key);
+            return (
+              <li key={record.key} className="py-3 flex items-center gap-3">
+                <Thumbnail blob={record.image} alt={record.fileName} />
+                <div className="flex-grow min-w-0">
+                  <p className="text-sm font-medium text-gray-800 truncate">{record.fileName}</p>
+                  <p className="text-xs text-gray-500">
+                    {record.eventName} · {new Date(record.updatedAt).toLocaleString()}
+                  </p>
+                  <p className="text-xs text-gray-600 truncate">
+                    {(record.data?.matchedPassions || []).map(match => match.passionName).join(', ')}
+                  </p>
+                </div>
+                <button
+                  onClick={() => onRestore(record)}
+                  disabled={inWorkspace}
+                  className="flex items-center gap-1 text-xs py-1 px-2 rounded-md border border-indigo-200 text-indigo-600 hover:bg-indigo-50 transition disabled:opacity-50"
+                  title={inWorkspace ? 'Already in your workspace' : 'Add back to your workspace'}
+                >
+                  <Plus className="w-3.5 h-3.5" /> {inWorkspace ? 'In workspace' : 'Restore'}
+                </button>
+                <button
+                  onClick={() => handleDelete(record.key)}
+                  className="p-1.5 text-gray-400 hover:text-red-600 transition"
+                  aria-label={`Delete ${record.fileName} from history`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CalendarDays, Download, FileUp, X, MapPin, RotateCcw } from 'lucide-react';
+import {
+  importScheduleFile, planItinerary, findAlternatives, groupByDay, sessionClock
+} from '../lib/itinerary.js';
+import { buildIcs } from '../lib/ics.js';
+import { downloadBlob, slugify } from '../lib/download.js';
+
+const formatDay = (day) => new Date(`${day}T12:00:00`).toLocaleDateString(undefined, {
+  weekday: 'long', month: 'short', day: 'numeric'
+});
+
+// schedule is the event's loaded schedule (or null); onScheduleChange receives a newly imported one.
+const ItineraryPanel = ({ event, profile, schedule, onScheduleChange }) => {
+  const [customIds, setCustomIds] = useState(null); // null = follow the suggested plan
+  const [error, setError] = useState(null);
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    setCustomIds(null);
+    setError(null);
+  }, [event]);
+
+  const scores = useMemo(() => new Map(profile.items.map(item => [item.passionName, item.score])), [profile]);
+  const plannedIds = useMemo(() => (schedule ? planItinerary(schedule, profile) : []), [schedule, profile]);
+  const chosenIds = customIds ?? plannedIds;
+  const chosenSessions = schedule ? schedule.sessions.filter(session => chosenIds.includes(session.id)) : [];
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = null;
+    if (!file) return;
+    setError(null);
+    try {
+      onScheduleChange(await importScheduleFile(file, event));
+      setCustomIds(null);
+    } catch (importError) {
+      console.error("Could not import schedule:", importError);
+      setError(importError.message);
+    }
+  };
+
+  const swapSession = (sessionId, replacementId) => {
+    setCustomIds(chosenIds.map(id => (id === sessionId ? replacementId : id)));
+  };
+
+  const removeSession = (sessionId) => {
+    setCustomIds(chosenIds.filter(id => id !== sessionId));
+  };
+
+  const exportIcs = () => {
+    const ics = buildIcs({
+      calendarName: `${event.name} – My Itinerary`,
+      events: chosenSessions.map(session => ({
+        uid: `${session.id}@${event.id}.summit-photo-mapper`,
+        startMs: session.startMs,
+        endMs: session.endMs,
+        summary: session.title,
+        location: session.venue,
+        description: [session.item, session.description].filter(Boolean).join('\n')
+      }))
+    });
+    downloadBlob(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), `${slugify(event.name)}-itinerary.ics`);
+  };
+
+  return (
+    <section className="mb-12 p-6 bg-white rounded-lg shadow-md border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center gap-3">
+          <CalendarDays className="w-6 h-6 text-indigo-500" /> Your Itinerary
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="flex items-center gap-1.5 text-sm py-1.5 px-3 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 transition"
+          >
+            <FileUp className="w-4 h-4" /> {schedule ? 'Replace schedule' : 'Load schedule'}
+          </button>
+          {customIds && (
+            <button
+              onClick={() => setCustomIds(null)}
+              className="flex items-center gap-1.5 text-sm py-1.5 px-3 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 transition"
+            >
+              <RotateCcw className="w-4 h-4" /> Reset
+            </button>
+          )}
+          <button
+            onClick={exportIcs}
+            disabled={chosenSessions.length === 0}
+            className="flex items-center gap-1.5 text-sm py-1.5 px-3 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 transition disabled:bg-gray-300 disabled:text-gray-600"
+          >
+            <Download className="w-4 h-4" /> Export .ics
+          </button>
+          <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </div>
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md text-sm">{error}</div>}
+
+      {!schedule && (
+        <p className="text-sm text-gray-500">
+          No schedule loaded for {event.name}. Load a schedule file to turn your passions into a day-by-day plan.
+        </p>
+      )}
+
+      {schedule && chosenSessions.length === 0 && (
+        <p className="text-sm text-gray-500">None of the scheduled sessions match your photos yet.</p>
+      )}
+
+      <div className="space-y-6">
+        {groupByDay(chosenSessions).map(({ day, sessions }) => (
+          <div key={day}>
+            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">{formatDay(day)}</h3>
+            <ul className="space-y-2">
+              {sessions.map(session => {
+                const alternatives = findAlternatives(schedule, chosenIds, session);
+                return (
+                  <li key={session.id} className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4 p-3 rounded-lg border border-gray-200">
+                    <span className="text-sm font-mono text-indigo-600 w-28 flex-shrink-0">
+                      {sessionClock(session.start)}–{sessionClock(session.end)}
+                    </span>
+                    <div className="flex-grow min-w-0">
+                      <p className="font-medium text-gray-800">{session.title}</p>
+                      <p className="text-xs text-gray-500 flex flex-wrap items-center gap-x-3">
+                        {session.venue && <span className="flex items-center gap-1"><MapPin className="w-3 h-3" /> {session.venue}</span>}
+                        <span>{session.item} · score {scores.get(session.item) || 0}</span>
+                      </p>
+                    </div>
+                    {alternatives.length > 0 && (
+                      <select
+                        value=""
+                        onChange={e => swapSession(session.id, e.target.value)}
+                        className="text-xs px-2 py-1 border border-gray-300 rounded-md bg-white"
+                        aria-label={`Swap ${session.title}`}
+                      >
+                        <option value="" disabled>Swap for…</option>
+                        {alternatives.map(alternative => (
+                          <option key={alternative.id} value={alternative.id}>
+                            {sessionClock(alternative.start)} {alternative.title}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    <button
+                      onClick={() => removeSession(session.id)}
+                      className="p-1 text-gray-400 hover:text-red-600 transition self-end sm:self-auto"
+                      aria-label={`Remove ${session.title}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default ItineraryPanel;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Film } from 'lucide-react';
+import Thumbnail from './Thumbnail.jsx';
+import { formatVideoTime } from '../lib/videoFrames.js';
+
+// keyframes: [{ time, blob }] from extractKeyframes. Hovering, clicking or dragging the slider scrubs through them.
+const KeyframeStrip = ({ keyframes, activeIndex, onSelect }) => (
+  <div className="mb-3">
+    <div className="flex items-center gap-1.5 text-xs text-gray-500 mb-1.5">
+      <Film className="w-3.5 h-3.5" />
+      Video clip · {keyframes.length} keyframes analyzed together · {formatVideoTime(keyframes[activeIndex].time)}
+    </div>
+    <div className="flex gap-1">
+      {keyframes.map((frame, index) => (
+        <button
+          key={frame.time}
+          onClick={() => onSelect(index)}
+          onMouseEnter={() => onSelect(index)}
+          className={`rounded overflow-hidden border-2 ${index === activeIndex ? 'border-indigo-500' : 'border-transparent opacity-70 hover:opacity-100'}`}
+          title={`Keyframe at ${formatVideoTime(frame.time)}`}
+        >
+          <Thumbnail blob={frame.blob} alt={`Keyframe at ${formatVideoTime(frame.time)}`} className="w-14 h-10" />
+        </button>
+      ))}
+    </div>
+    {keyframes.length > 1 && (
+      <input
+        type="range"
+        min={0}
+        max={keyframes.length - 1}
+        value={activeIndex}
+        onChange={e => onSelect(Number(e.target.value))}
+        className="mt-1 w-full max-w-xs accent-indigo-600"
+        aria-label="Scrub keyframes"
+      />
+    )}
+  </div>
+);
+
+export default KeyframeStrip;
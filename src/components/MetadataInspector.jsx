@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Info } from 'lucide-react';
+import { describeMetadata, METADATA_GROUPS } from '../lib/metadata.js';
+
+// metadataContext is the exact metadata text sent with the prompt and sentFields the keys it covered
+// (both null for results restored from older exports).
+const MetadataInspector = ({ metadata, metadataContext, sentFields }) => {
+  const [open, setOpen] = useState(false);
+  const fields = describeMetadata(metadata || {}, sentFields);
+  if (fields.length === 0 && !metadataContext) return null;
+
+  const groups = METADATA_GROUPS
+    .map(({ id, label }) => ({ group: id, label, fields: fields.filter(field => field.group === id) }))
+    .filter(({ fields: groupFields }) => groupFields.length > 0);
+
+  return (
+    <div className="mb-3 text-xs">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="flex items-center gap-1 font-medium text-gray-500 hover:text-indigo-600"
+        aria-expanded={open}
+      >
+        {open ? <ChevronUp className="w-3.5 h-3.5" /> : <ChevronDown className="w-3.5 h-3.5" />}
+        Metadata ({fields.length} {fields.length === 1 ? 'field' : 'fields'})
+      </button>
+
+      {open && (
+        <div className="mt-2 p-3 rounded-md bg-gray-50 border border-gray-200 space-y-3">
+          {groups.map(({ group, label, fields: groupFields }) => (
+            <div key={group}>
+              <h4 className="font-semibold text-gray-600 uppercase tracking-wide mb-1">{label}</h4>
+              <dl className="grid grid-cols-[8rem_1fr] gap-x-3 gap-y-0.5">
+                {groupFields.map(field => (
+                  <React.Fragment key={field.key}>
+                    <dt className="text-gray-500">{field.label}</dt>
+                    <dd className="text-gray-800 break-words">
+                      {field.value}
+                      {field.inPrompt && <span className="ml-1.5 text-indigo-500" title="Given to the model as context">•</span>}
+                    </dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </div>
+          ))}
+          {metadataContext && (
+            <div className="pt-2 border-t border-gray-200">
+              <h4 className="font-semibold text-gray-600 uppercase tracking-wide mb-1 flex items-center gap-1">
+                <Info className="w-3.5 h-3.5" /> Sent with the prompt
+              </h4>
+              <p className="font-mono text-gray-700 whitespace-pre-wrap break-words">{metadataContext}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetadataInspector;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Trophy, ChevronDown, ChevronUp } from 'lucide-react';
+import Thumbnail from './Thumbnail.jsx';
+
+const TOP_COUNT = 8;
+
+const ScoreBar = ({ score, maxScore }) => (
+  <div className="h-2 w-full bg-gray-100 rounded-full overflow-hidden">
+    <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${maxScore > 0 ? (score / maxScore) * 100 : 0}%` }} />
+  </div>
+);
+
+const ContributingPhotos = ({ photoIds, photos, limit = 6 }) => (
+  <div className="flex items-center gap-1">
+    {photoIds.slice(0, limit).map(id => {
+      const photo = photos.get(id);
+      if (!photo) return null;
+      return (
+        <a key={id} href={`#${photo.domId}`} title={photo.name}>
+          <Thumbnail blob={photo.blob} alt={photo.name} className="w-8 h-8 rounded" />
+        </a>
+      );
+    })}
+    {photoIds.length > limit && <span className="text-xs text-gray-500 ml-1">+{photoIds.length - limit}</span>}
+  </div>
+);
+
+// profile comes from buildPassionProfile; photos maps entry id -> { blob, name, domId }.
+const PassionProfile = ({ profile, photos, title = 'Your Passion Profile' }) => {
+  const [showCategories, setShowCategories] = useState(false);
+  const topItems = profile.items.filter(item => item.score > 0).slice(0, TOP_COUNT);
+  const maxScore = topItems[0]?.score || 0;
+  const activeCategories = profile.categories.filter(category => category.score > 0);
+  const maxCategoryScore = activeCategories[0]?.score || 0;
+
+  if (topItems.length === 0) return null;
+
+  return (
+    <section className="mb-12 p-6 bg-white rounded-lg shadow-md border border-gray-100">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-2 flex items-center gap-3">
+        <Trophy className="w-6 h-6 text-indigo-500" /> {title}
+      </h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Ranked across {profile.photoCount} analyzed {profile.photoCount === 1 ? 'photo' : 'photos'}. High matches count fully, Suggested ones partially.
+      </p>
+
+      <ol className="space-y-4">
+        {topItems.map((item, index) => (
+          <li key={item.passionName} className="grid grid-cols-[2rem_1fr] gap-x-3 gap-y-1 items-center">
+            <span className="text-lg font-bold text-indigo-500 text-right">{index + 1}</span>
+            <div className="flex flex-wrap items-baseline justify-between gap-x-3">
+              <span className="font-medium text-gray-800">{item.passionName}</span>
+              <span className="text-xs text-gray-500">
+                {item.category} · {item.photoCount} {item.photoCount === 1 ? 'photo' : 'photos'}
+                {item.highCount > 0 && ` (${item.highCount} high)`}
+              </span>
+            </div>
+            <span />
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <div className="flex-grow"><ScoreBar score={item.score} maxScore={maxScore} /></div>
+              <ContributingPhotos photoIds={item.photoIds} photos={photos} />
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <button
+        onClick={() => setShowCategories(prev => !prev)}
+        className="mt-6 flex items-center gap-1.5 text-sm font-medium text-indigo-600 hover:underline"
+      >
+        {showCategories ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        {showCategories ? 'Hide' : 'Show'} breakdown by category
+      </button>
+
+      {showCategories && (
+        <div className="mt-4 grid gap-4 sm:grid-cols-2">
+          {activeCategories.map(category => (
+            <div key={category.name} className="p-4 rounded-lg border border-gray-200">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-gray-800">{category.name}</h3>
+                <span className="text-xs text-gray-500">{category.score} pts</span>
+              </div>
+              <ScoreBar score={category.score} maxScore={maxCategoryScore} />
+              <ul className="mt-3 space-y-1 text-sm">
+                {category.items.filter(item => item.score > 0).map(item => (
+                  <li key={item.passionName} className="flex justify-between gap-2 text-gray-700">
+                    <span>{item.passionName}</span>
+                    <span className="text-gray-500">{item.score} · {item.photoCount}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default PassionProfile;
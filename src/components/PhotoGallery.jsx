@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Swiper, SwiperSlide } from 'swiper/react';
+import { Keyboard, Navigation, Zoom, A11y } from 'swiper/modules';
+import { X, Filter } from 'lucide-react';
+import { getCategoryForPassion } from '../lib/events.js';
+import 'swiper/css';
+import 'swiper/css/navigation';
+import 'swiper/css/zoom';
+
+const SlideImage = ({ blob, alt }) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+  if (!url) return null;
+  return (
+    <div className="swiper-zoom-container">
+      <img src={url} alt={alt} className="max-h-full max-w-full object-contain select-none" loading="lazy" />
+    </div>
+  );
+};
+
+const tagClass = (confidence) => (confidence === 'High'
+  ? 'bg-green-500/90 text-white'
+  : 'bg-white/20 text-white border border-white/40');
+
+// items: [{ id, name, blob, description, matchedPassions }] for analyzed photos, in display order.
+// Lazy-loaded: Swiper and its styles are only fetched when someone opens the gallery.
+const PhotoGallery = ({ items, event, initialId, onClose }) => {
+  const [filter, setFilter] = useState(''); // '' | 'passion:<name>' | 'category:<name>'
+  const [activeIndex, setActiveIndex] = useState(0);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  const passions = useMemo(() => [...new Set(items.flatMap(item => item.matchedPassions.map(m => m.passionName)))].sort(), [items]);
+  const categories = useMemo(
+    () => [...new Set(passions.map(passion => getCategoryForPassion(event, passion)).filter(Boolean))].sort(),
+    [passions, event]
+  );
+
+  const visible = useMemo(() => {
+    if (!filter) return items;
+    const [kind, value] = [filter.slice(0, filter.indexOf(':')), filter.slice(filter.indexOf(':') + 1)];
+    return items.filter(item => item.matchedPassions.some(m => (kind === 'passion'
+      ? m.passionName === value
+      : getCategoryForPassion(event, m.passionName) === value)));
+  }, [items, filter, event]);
+
+  const initialSlide = filter ? 0 : Math.max(0, items.findIndex(item => item.id === initialId));
+
+  useEffect(() => {
+    const handleKey = (e) => { if (e.key === 'Escape') onCloseRef.current(); };
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    window.addEventListener('keydown', handleKey);
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black flex flex-col" role="dialog" aria-modal="true" aria-label="Photo gallery">
+      <div className="flex items-center gap-3 p-3 text-white">
+        <Filter className="w-4 h-4 flex-shrink-0 text-white/70" />
+        <select
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+          className="min-w-0 flex-1 sm:flex-none bg-white/10 text-white text-sm rounded-md px-2 py-1.5 border border-white/20"
+          aria-label="Filter photos"
+        >
+          <option value="" className="text-gray-900">All photos ({items.length})</option>
+          <optgroup label="Category" className="text-gray-900">
+            {categories.map(category => <option key={category} value={`category:${category}`}>{category}</option>)}
+          </optgroup>
+          <optgroup label="Passion" className="text-gray-900">
+            {passions.map(passion => <option key={passion} value={`passion:${passion}`}>{passion}</option>)}
+          </optgroup>
+        </select>
+        <span className="ml-auto text-sm text-white/70 tabular-nums">
+          {visible.length > 0 ? `${activeIndex + 1} / ${visible.length}` : '0 / 0'}
+        </span>
+        <button onClick={onClose} className="p-2 rounded-full hover:bg-white/10" aria-label="Close gallery">
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="flex-1 flex items-center justify-center text-white/70">No photos match this filter.</p>
+      ) : (
+        <Swiper
+          key={filter}
+          className="flex-1 min-h-0 w-full"
+          modules={[Keyboard, Navigation, Zoom, A11y]}
+          initialSlide={initialSlide}
+          keyboard={{ enabled: true }}
+          navigation
+          zoom
+          spaceBetween={16}
+          onSwiper={swiper => setActiveIndex(swiper.activeIndex)}
+          onSlideChange={swiper => setActiveIndex(swiper.activeIndex)}
+        >
+          {visible.map(item => (
+            <SwiperSlide key={item.id} className="relative flex items-center justify-center">
+              <SlideImage blob={item.blob} alt={item.name} />
+              <div className="absolute inset-x-0 bottom-0 p-4 pt-12 bg-gradient-to-t from-black/90 via-black/60 to-transparent text-white">
+                <p className="text-xs text-white/60 mb-1 truncate">{item.name}</p>
+                <p className="text-sm sm:text-base mb-3 leading-snug">{item.description || 'No description provided.'}</p>
+                <div className="flex flex-wrap gap-1.5">
+                  {item.matchedPassions.map(match => (
+                    <button
+                      key={match.passionName}
+                      onClick={() => setFilter(`passion:${match.passionName}`)}
+                      className={`text-xs font-medium py-1 px-2.5 rounded-full ${tagClass(match.confidence)}`}
+                      title={`Show only ${match.passionName}`}
+                    >
+                      {match.passionName}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </SwiperSlide>
+          ))}
+        </Swiper>
+      )}
+    </div>
+  );
+};
+
+export default PhotoGallery;
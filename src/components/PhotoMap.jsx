@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Map as MapIcon, Route } from 'lucide-react';
+import { clusterPoints, buildTrack, buildPassionColors, OTHER_COLOR } from '../lib/photoMap.js';
+
+const GRATICULE_STEP = 10;
+
+const scrollToCard = (domId) => {
+  document.getElementById(domId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+const textElement = (tag, text, className) => {
+  const element = document.createElement(tag);
+  element.textContent = text;
+  if (className) element.className = className;
+  return element;
+};
+
+const dotIcon = (L, color) => L.divIcon({
+  className: '',
+  html: `<span style="display:block;width:16px;height:16px;border-radius:50%;background:${color};border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,.4)"></span>`,
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+const clusterIcon = (L, count, color) => L.divIcon({
+  className: '',
+  html: `<span style="display:flex;align-items:center;justify-content:center;width:32px;height:32px;border-radius:50%;background:${color};color:#fff;font:600 12px sans-serif;border:3px solid rgba(255,255,255,.85);box-shadow:0 1px 4px rgba(0,0,0,.4)">${count}</span>`,
+  iconSize: [32, 32],
+  iconAnchor: [16, 16]
+});
+
+// Lines every 10° so the plain (offline) background still gives a sense of position.
+const addGraticule = (L, layer) => {
+  const style = { color: '#93c5fd', weight: 1, interactive: false };
+  for (let lat = -80; lat <= 80; lat += GRATICULE_STEP) L.polyline([[lat, -180], [lat, 180]], style).addTo(layer);
+  for (let lng = -180; lng <= 180; lng += GRATICULE_STEP) L.polyline([[-85, lng], [85, lng]], style).addTo(layer);
+};
+
+// photos: [{ id, name, domId, lat, lng, takenAt (ms or null), passionName }]; tileSource from resolveTileSource.
+const PhotoMap = ({ photos: photoList, tileSource }) => {
+  // The parent rebuilds the list every render; only redraw (and refit) when the photos actually change.
+  const photosKey = photoList.map(p => [p.id, p.lat, p.lng, p.takenAt, p.passionName].join(':')).join('|');
+  const photos = useMemo(() => photoList, [photosKey]);
+  const containerRef = useRef(null);
+  const [leaflet, setLeaflet] = useState(null); // { L, map } once Leaflet has loaded
+  const [loadError, setLoadError] = useState(null);
+  const [showTrack, setShowTrack] = useState(true);
+
+  const legend = useMemo(() => buildPassionColors(photos.map(photo => photo.passionName)), [photos]);
+  const colorOf = useMemo(() => {
+    const colors = new Map(legend.map(entry => [entry.passionName, entry.color]));
+    return (photo) => colors.get(photo.passionName) || OTHER_COLOR;
+  }, [legend]);
+  const track = useMemo(() => buildTrack(photos), [photos]);
+
+  // Leaflet is only downloaded once someone has geotagged photos to look at.
+  useEffect(() => {
+    let map = null;
+    let cancelled = false;
+    Promise.all([import('leaflet'), import('leaflet/dist/leaflet.css')])
+      .then(([{ default: L }]) => {
+        if (cancelled) return;
+        map = L.map(containerRef.current, { worldCopyJump: true, zoomControl: true }).setView([20, 0], 2);
+        setLeaflet({ L, map });
+      })
+      .catch(error => {
+        console.error("Could not load the map:", error);
+        setLoadError("The map could not be loaded.");
+      });
+    return () => {
+      cancelled = true;
+      map?.remove();
+    };
+  }, []);
+
+  const { url: tileUrl, attribution, maxZoom } = tileSource;
+  useEffect(() => {
+    if (!leaflet) return;
+    const { L, map } = leaflet;
+    const layer = tileUrl
+      ? L.tileLayer(tileUrl, { attribution, maxZoom })
+      : L.layerGroup();
+    if (!tileUrl) addGraticule(L, layer);
+    map.setMaxZoom(maxZoom);
+    layer.addTo(map);
+    return () => layer.remove();
+  }, [leaflet, tileUrl, attribution, maxZoom]);
+
+  useEffect(() => {
+    if (!leaflet || !showTrack || track.length < 2) return;
+    const { L, map } = leaflet;
+    const line = L.polyline(track, { color: '#4338ca', weight: 3, opacity: 0.7, dashArray: '6 6' }).addTo(map);
+    return () => line.remove();
+  }, [leaflet, track, showTrack]);
+
+  useEffect(() => {
+    if (!leaflet || photos.length === 0) return;
+    const { L, map } = leaflet;
+    const layer = L.layerGroup().addTo(map);
+
+    const openCluster = (cluster) => {
+      const bounds = L.latLngBounds(cluster.points.map(p => [p.lat, p.lng]));
+      // Photos taken at (almost) the same spot never split apart; list them instead.
+      if (map.getZoom() >= map.getMaxZoom() || bounds.getNorthEast().equals(bounds.getSouthWest(), 1e-6)) {
+        const list = document.createElement('ul');
+        cluster.points.forEach(photo => {
+          const item = textElement('li', photo.name, 'cursor-pointer text-indigo-600 hover:underline');
+          item.addEventListener('click', () => scrollToCard(photo.domId));
+          list.appendChild(item);
+        });
+        L.popup().setLatLng([cluster.lat, cluster.lng]).setContent(list).openOn(map);
+      } else {
+        map.fitBounds(bounds.pad(0.2));
+      }
+    };
+
+    const render = () => {
+      layer.clearLayers();
+      clusterPoints(photos, { project: p => map.latLngToLayerPoint([p.lat, p.lng]) }).forEach(cluster => {
+        if (cluster.points.length === 1) {
+          const [photo] = cluster.points;
+          L.marker([photo.lat, photo.lng], { icon: dotIcon(L, colorOf(photo)), keyboard: true, title: photo.name })
+            .bindTooltip(textElement('span', photo.passionName ? `${photo.name} · ${photo.passionName}` : photo.name))
+            .on('click', () => scrollToCard(photo.domId))
+            .addTo(layer);
+          return;
+        }
+        L.marker([cluster.lat, cluster.lng], { icon: clusterIcon(L, cluster.points.length, colorOf(cluster.points[0])) })
+          .bindTooltip(textElement('span', `${cluster.points.length} photos`))
+          .on('click', () => openCluster(cluster))
+          .addTo(layer);
+      });
+    };
+
+    map.fitBounds(L.latLngBounds(photos.map(p => [p.lat, p.lng])).pad(0.2), { maxZoom: 12 });
+    render();
+    map.on('zoomend', render);
+    return () => {
+      map.off('zoomend', render);
+      layer.remove();
+    };
+  }, [leaflet, photos, colorOf]);
+
+  return (
+    <section className="mb-12 p-6 bg-white rounded-lg shadow-md border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center gap-3">
+          <MapIcon className="w-6 h-6 text-indigo-500" /> Photo Map
+        </h2>
+        {track.length >= 2 && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showTrack} onChange={e => setShowTrack(e.target.checked)} />
+            <Route className="w-4 h-4" /> Voyage track
+          </label>
+        )}
+      </div>
+
+      {loadError ? (
+        <div className="p-3 bg-red-100 text-red-700 rounded-md text-sm">{loadError}</div>
+      ) : (
+        <div ref={containerRef} className="h-96 w-full rounded-lg overflow-hidden border border-gray-200 bg-sky-50 relative z-0" />
+      )}
+
+      <p className="mt-2 text-xs text-gray-500">
+        {photos.length} geotagged {photos.length === 1 ? 'photo' : 'photos'}. Click a marker to jump to its card.
+      </p>
+      <ul className="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+        {legend.filter(entry => entry.color !== OTHER_COLOR).map(entry => (
+          <li key={entry.passionName} className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ background: entry.color }} /> {entry.passionName}
+          </li>
+        ))}
+        {legend.some(entry => entry.color === OTHER_COLOR) && (
+          <li className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ background: OTHER_COLOR }} /> Other
+          </li>
+        )}
+      </ul>
+    </section>
+  );
+};
+
+export default PhotoMap;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { X, Shield, AlertTriangle } from 'lucide-react';
+import { METADATA_GROUPS } from '../lib/metadata.js';
+import { SENSITIVE_GROUPS, needsMetadataStripping } from '../lib/privacy.js';
+
+const PrivacyPanel = ({ settings, onChange, onClose }) => {
+  const privacy = settings.privacy;
+  const toggle = (groupId, value) => {
+    onChange({ ...settings, privacy: { ...privacy, share: { ...privacy.share, [groupId]: value } } });
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+          <Shield className="w-5 h-5 text-indigo-500" /> Privacy
+        </h2>
+        <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" aria-label="Close privacy settings">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Choose which photo metadata is shared with the analysis model. Everything else stays in this browser.
+        Location and embedded text are only shared if you turn them on.
+      </p>
+
+      <ul className="space-y-3">
+        {METADATA_GROUPS.map(group => (
+          <li key={group.id}>
+            <label className="flex items-start gap-3 text-sm">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={Boolean(privacy.share[group.id])}
+                onChange={e => toggle(group.id, e.target.checked)}
+              />
+              <span>
+                <span className="font-medium text-gray-800">{group.label}</span>
+                {SENSITIVE_GROUPS.includes(group.id) && (
+                  <span className="ml-2 text-xs font-medium text-amber-700 bg-amber-100 py-0.5 px-2 rounded-full">Opt-in</span>
+                )}
+                <span className="block text-gray-500">{group.description}</span>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <p className={`mt-5 text-sm flex items-start gap-2 ${needsMetadataStripping(privacy) ? 'text-gray-600' : 'text-amber-700'}`}>
+        {needsMetadataStripping(privacy) ? (
+          <>
+            <Shield className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            Photos are re-encoded before upload, so no EXIF, XMP or IPTC data is embedded in the image that is sent.
+          </>
+        ) : (
+          <>
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            All metadata is shared, so photos may be uploaded as the original files, including their embedded metadata.
+          </>
+        )}
+      </p>
+    </section>
+  );
+};
+
+export default PrivacyPanel;
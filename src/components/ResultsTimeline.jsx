@@ -0,0 +1,67 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+
+const formatDay = (day) => new Date(`${day}T12:00:00`).toLocaleDateString(undefined, {
+  weekday: 'long', month: 'short', day: 'numeric', year: 'numeric'
+});
+
+const MomentTags = ({ tags }) => (
+  <div className="flex flex-wrap gap-1.5">
+    {tags.map(tag => (
+      <span
+        key={tag.passionName}
+        className={`text-xs font-medium py-0.5 px-2 rounded-full border ${tag.highCount > 0 ? 'bg-green-50 text-green-700 border-green-200' : 'bg-blue-50 text-blue-700 border-blue-200'}`}
+        title={`${tag.photoCount} ${tag.photoCount === 1 ? 'photo' : 'photos'} · score ${tag.score}`}
+      >
+        {tag.passionName}
+      </span>
+    ))}
+  </div>
+);
+
+// timeline comes from buildTimeline; renderCard(entry) renders one photo's ResultCard.
+const ResultsTimeline = ({ timeline, renderCard }) => (
+  <div className="space-y-10">
+    {timeline.days.map(({ day, moments }) => (
+      <div key={day}>
+        <h3 className="sticky top-0 z-10 bg-white/95 py-2 text-lg font-bold text-gray-800 border-b border-gray-200 mb-4">
+          {formatDay(day)}
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {moments.length} {moments.length === 1 ? 'moment' : 'moments'}
+          </span>
+        </h3>
+        <div className="space-y-8">
+          {moments.map(moment => (
+            <div key={moment.id} className="pl-4 border-l-2 border-indigo-200">
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-2 mb-3">
+                <span className="flex items-center gap-1.5 text-sm font-semibold text-indigo-600">
+                  <Clock className="w-4 h-4" />
+                  {moment.start.clock === moment.end.clock ? moment.start.clock : `${moment.start.clock}–${moment.end.clock}`}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {moment.entries.length} {moment.entries.length === 1 ? 'photo' : 'photos'}
+                </span>
+                <MomentTags tags={moment.tags} />
+              </div>
+              <div className="space-y-4">{moment.entries.map(renderCard)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    ))}
+
+    {timeline.undated.length > 0 && (
+      <div>
+        <h3 className="py-2 text-lg font-bold text-gray-800 border-b border-gray-200 mb-4">
+          No capture time
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {timeline.undated.length} {timeline.undated.length === 1 ? 'photo' : 'photos'}
+          </span>
+        </h3>
+        <div className="space-y-4">{timeline.undated.map(renderCard)}</div>
+      </div>
+    )}
+  </div>
+);
+
+export default ResultsTimeline;
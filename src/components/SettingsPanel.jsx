@@ -0,0 +1,256 @@
+import React from 'react';
+import { X, Settings, Plus, Trash2 } from 'lucide-react';
+import { PROVIDERS, getProvider } from '../providers/index.js';
+import { TILE_SOURCES } from '../lib/photoMap.js';
+import { DEFAULT_PRICES } from '../lib/usage.js';
+
+const inputClass = "w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-300";
+
+const SettingsField = ({ field, value, onChange, context }) => {
+  if (field.type === 'select') {
+    const options = field.options(context);
+    return (
+      <select className={inputClass} value={value ?? ''} onChange={e => onChange(e.target.value)}>
+        {field.emptyLabel && <option value="">{field.emptyLabel}</option>}
+        {options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  }
+  return (
+    <input
+      className={inputClass}
+      type={field.type}
+      value={value ?? ''}
+      placeholder={field.placeholder}
+      onChange={e => onChange(field.type === 'number' ? Number(e.target.value) : e.target.value)}
+    />
+  );
+};
+
+const SettingsPanel = ({ settings, onChange, onClose, proxyStatus }) => {
+  const provider = getProvider(settings.provider);
+  const providerSettings = settings.providers[provider.id] || {};
+
+  const preprocessing = settings.preprocessing;
+  const updatePreprocessing = (key, value) => {
+    onChange({ ...settings, preprocessing: { ...preprocessing, [key]: value } });
+  };
+
+  const updateMap = (key, value) => {
+    onChange({ ...settings, map: { ...settings.map, [key]: value } });
+  };
+
+  const usage = settings.usage;
+  const updateUsage = (patch) => {
+    onChange({ ...settings, usage: { ...usage, ...patch } });
+  };
+  const updatePrice = (index, key, value) => {
+    updateUsage({ prices: usage.prices.map((price, i) => (i === index ? { ...price, [key]: value } : price)) });
+  };
+
+  const updateProviderSetting = (key, value) => {
+    onChange({
+      ...settings,
+      providers: { ...settings.providers, [provider.id]: { ...providerSettings, [key]: value } }
+    });
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+          <Settings className="w-5 h-5 text-indigo-500" /> Settings
+        </h2>
+        <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" aria-label="Close settings">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Vision model provider
+          <select
+            className={`${inputClass} mt-1`}
+            value={provider.id}
+            onChange={e => onChange({ ...settings, provider: e.target.value })}
+          >
+            {PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        </label>
+
+        <label className="block text-sm font-medium text-gray-700">
+          Parallel requests
+          <input
+            className={`${inputClass} mt-1`}
+            type="number"
+            min="1"
+            max="6"
+            value={settings.concurrency}
+            onChange={e => onChange({ ...settings, concurrency: Math.min(6, Math.max(1, Number(e.target.value) || 1)) })}
+          />
+        </label>
+
+        {provider.settingsFields.map(field => (
+          <label key={field.key} className="block text-sm font-medium text-gray-700">
+            {field.label}
+            <div className="mt-1">
+              <SettingsField
+                field={field}
+                value={providerSettings[field.key]}
+                onChange={value => updateProviderSetting(field.key, value)}
+                context={{ proxyStatus }}
+              />
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <h3 className="mt-6 mb-3 text-sm font-semibold text-gray-800 uppercase tracking-wide">Upload preprocessing</h3>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 sm:col-span-2">
+          <input
+            type="checkbox"
+            checked={preprocessing.enabled}
+            onChange={e => updatePreprocessing('enabled', e.target.checked)}
+          />
+          Downscale and re-encode photos before upload (HEIC is always converted)
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          Max edge (px)
+          <input
+            className={`${inputClass} mt-1`}
+            type="number"
+            min="256"
+            step="64"
+            value={preprocessing.maxEdge}
+            disabled={!preprocessing.enabled}
+            onChange={e => updatePreprocessing('maxEdge', Number(e.target.value) || 1600)}
+          />
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          Format
+          <select
+            className={`${inputClass} mt-1`}
+            value={preprocessing.format}
+            disabled={!preprocessing.enabled}
+            onChange={e => updatePreprocessing('format', e.target.value)}
+          >
+            <option value="image/jpeg">JPEG</option>
+            <option value="image/webp">WebP</option>
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-gray-700 sm:col-span-2">
+          Quality: {Math.round(preprocessing.quality * 100)}%
+          <input
+            className="w-full mt-1"
+            type="range"
+            min="0.4"
+            max="1"
+            step="0.05"
+            value={preprocessing.quality}
+            disabled={!preprocessing.enabled}
+            onChange={e => updatePreprocessing('quality', Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      <h3 className="mt-6 mb-3 text-sm font-semibold text-gray-800 uppercase tracking-wide">Map</h3>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Background
+          <select
+            className={`${inputClass} mt-1`}
+            value={settings.map.tileSource}
+            onChange={e => updateMap('tileSource', e.target.value)}
+          >
+            {TILE_SOURCES.map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+          </select>
+        </label>
+        {settings.map.tileSource === 'custom' && (
+          <label className="block text-sm font-medium text-gray-700">
+            Tile URL template
+            <input
+              className={`${inputClass} mt-1`}
+              type="text"
+              value={settings.map.customTileUrl}
+              placeholder="/tiles/{z}/{x}/{y}.png"
+              onChange={e => updateMap('customTileUrl', e.target.value)}
+            />
+          </label>
+        )}
+      </div>
+
+      <h3 className="mt-6 mb-3 text-sm font-semibold text-gray-800 uppercase tracking-wide">Usage &amp; budget</h3>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Session budget (USD, 0 = no limit)
+          <input
+            className={`${inputClass} mt-1`}
+            type="number"
+            min="0"
+            step="0.5"
+            value={usage.budgetUsd}
+            onChange={e => updateUsage({ budgetUsd: Math.max(0, Number(e.target.value) || 0) })}
+          />
+        </label>
+        <p className="text-xs text-gray-500 self-end">
+          Analysis pauses before the estimated cost of this session would pass the budget. Costs are estimates from
+          the token counts the model reports and the prices below.
+        </p>
+      </div>
+      <table className="mt-4 w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="font-medium pb-1">Model (name prefix)</th>
+            <th className="font-medium pb-1 pl-2">Input $ / 1M tokens</th>
+            <th className="font-medium pb-1 pl-2">Output $ / 1M tokens</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {usage.prices.map((price, index) => (
+            <tr key={index}>
+              <td className="py-1">
+                <input className={inputClass} type="text" value={price.model} onChange={e => updatePrice(index, 'model', e.target.value.trim())} />
+              </td>
+              {['inputPerMillion', 'outputPerMillion'].map(key => (
+                <td key={key} className="py-1 pl-2">
+                  <input
+                    className={inputClass}
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={price[key]}
+                    onChange={e => updatePrice(index, key, Math.max(0, Number(e.target.value) || 0))}
+                  />
+                </td>
+              ))}
+              <td className="py-1 pl-2">
+                <button
+                  onClick={() => updateUsage({ prices: usage.prices.filter((_, i) => i !== index) })}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  aria-label={`Remove the price for ${price.model || 'this model'}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 flex gap-4 text-sm">
+        <button
+          onClick={() => updateUsage({ prices: [...usage.prices, { model: '', inputPerMillion: 0, outputPerMillion: 0 }] })}
+          className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 font-medium"
+        >
+          <Plus className="w-4 h-4" /> Add model
+        </button>
+        <button onClick={() => updateUsage({ prices: DEFAULT_PRICES })} className="text-gray-600 hover:text-gray-900 underline">
+          Reset prices
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,27 @@
+import React, { useState, useEffect } from 'react';
+import { Image as ImageIcon } from 'lucide-react';
+
+// Small object-URL backed preview for a File or Blob.
+const Thumbnail = ({ blob, alt, className = 'w-14 h-14 rounded-md' }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (blob) {
+      const objectUrl = URL.createObjectURL(blob);
+      setUrl(objectUrl);
+      return () => URL.revokeObjectURL(objectUrl);
+    }
+  }, [blob]);
+
+  return (
+    <div className={`flex-shrink-0 overflow-hidden bg-gray-100 flex items-center justify-center ${className}`}>
+      {url ? (
+        <img src={url} alt={alt} className="w-full h-full object-cover" onError={() => setUrl(null)} />
+      ) : (
+        <ImageIcon className="w-1/2 h-1/2 text-gray-400" />
+      )}
+    </div>
+  );
+};
+
+export default Thumbnail;
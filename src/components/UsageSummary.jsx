@@ -0,0 +1,58 @@
+import React from 'react';
+import { Coins, AlertTriangle } from 'lucide-react';
+import { formatCost, formatTokens } from '../lib/usage.js';
+
+const describeCost = (total) => {
+  if (total.photos === total.unpriced) return 'cost unknown';
+  const partial = total.unpriced > 0 ? ` + ${total.unpriced} unpriced` : '';
+  return `~${formatCost(total.cost)}${partial}`;
+};
+
+const UsageLine = ({ label, total }) => (
+  <span title={`${formatTokens(total.inputTokens)} input + ${formatTokens(total.outputTokens)} output tokens in ${total.calls} calls`}>
+    <span className="font-medium text-gray-700">{label}:</span> {total.photos} {total.photos === 1 ? 'photo' : 'photos'},{' '}
+    {formatTokens(total.totalTokens)} tokens, {describeCost(total)}
+  </span>
+);
+
+// batch sums the photos on screen, session everything analyzed since the session started (see usage.js).
+// budgetHeld is the budgetHold reason while the budget is holding the queue; onContinue overrides it for the photos
+// already queued.
+const UsageSummary = ({ batch, session, budgetUsd, budgetHeld, onContinue, onEditBudget }) => {
+  const budgetShare = budgetUsd > 0 ? Math.min(1, session.cost / budgetUsd) : null;
+  return (
+    <div className="mt-4 text-sm text-gray-600">
+      <div className="flex flex-wrap items-center justify-center gap-x-4 gap-y-1">
+        <Coins className="w-4 h-4 text-gray-400" />
+        {batch.photos > 0 && <UsageLine label="This batch" total={batch} />}
+        <UsageLine label="Session" total={session} />
+        {budgetShare !== null && (
+          <span className="flex items-center gap-2" title="Estimated session cost against your budget">
+            <span className="w-24 h-1.5 rounded-full bg-gray-200 overflow-hidden">
+              <span
+                className={`block h-full ${budgetShare >= 0.9 ? 'bg-red-500' : budgetShare >= 0.7 ? 'bg-amber-500' : 'bg-indigo-500'}`}
+                style={{ width: `${budgetShare * 100}%` }}
+              />
+            </span>
+            {formatCost(session.cost)} of {formatCost(budgetUsd)}
+          </span>
+        )}
+      </div>
+
+      {budgetHeld && (
+        <div className="mt-3 p-3 rounded-md bg-red-50 border border-red-200 text-red-700 flex flex-wrap items-center justify-center gap-x-3 gap-y-2">
+          <span className="flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            {budgetHeld === 'unpriced'
+              ? `Analysis paused: ${session.unpriced} ${session.unpriced === 1 ? 'photo has' : 'photos have'} no known cost, so the ${formatCost(budgetUsd)} budget can't be tracked. Add a price for this model in Settings.`
+              : `Analysis paused: the next photo would likely take this session past its ${formatCost(budgetUsd)} budget (${formatCost(session.cost)} spent so far).`}
+          </span>
+          <button onClick={onEditBudget} className="font-medium underline hover:text-red-900">{budgetHeld === 'unpriced' ? 'Edit prices' : 'Change budget'}</button>
+          <button onClick={onContinue} className="font-medium underline hover:text-red-900">Continue anyway</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageSummary;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './ImagePassionMapper.jsx';
+import { registerServiceWorker } from './lib/pwa.js';
 
 // Get the root container from the HTML
 const container = document.getElementById('root');
@@ -11,4 +12,6 @@ root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+registerServiceWorker();
\ No newline at end of file
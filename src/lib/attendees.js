@@ -0,0 +1,162 @@
+import { getCategoryForPassion } from './eventDefinition.js';
+
+// --- Named attendee profiles and passion-based connection suggestions ---
+// An attendee file carries one person's aggregated passion vector (catalog item -> score from buildPassionProfile),
+// so profiles can be swapped as files with no server:
+// {
+//   "format": "summit-photo-mapper/attendee", "version": 1, "exportedAt": "...",
+//   "name": "Alex", "event": { "id": "summit-at-sea-2024", "name": "...", "version": 1 },
+//   "photoCount": 12, "passions": { "DJ Sets & Dance Parties": 4.4, ... }
+// }
+
+export const ATTENDEE_FORMAT = 'summit-photo-mapper/attendee';
+export const ATTENDEE_VERSION = 1;
+
+const ATTENDEES_KEY = 'summit-photo-mapper.attendees';
+const NAME_KEY = 'summit-photo-mapper.attendeeName';
+
+export const MIN_SIMILARITY = 0.2;
+const SHARED_PASSION_COUNT = 3;
+const SESSIONS_PER_SUGGESTION = 3;
+
+export const buildAttendeeFile = ({ name, event, profile, exportedAt = new Date() }) => JSON.stringify({
+  format: ATTENDEE_FORMAT,
+  version: ATTENDEE_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  name,
+  event: { id: event.id, name: event.name, version: event.version },
+  photoCount: profile.photoCount,
+  passions: Object.fromEntries(profile.items.filter(item => item.score > 0).map(item => [item.passionName, item.score]))
+}, null, 2);
+
+// Returns { id, name, eventId, photoCount, passions }; unknown catalog items are dropped.
+export const parseAttendeeFile = (text, event) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("The selected file is not valid JSON.");
+  }
+  if (raw?.format !== ATTENDEE_FORMAT) throw new Error("This file is not an attendee profile.");
+  if (raw.version > ATTENDEE_VERSION) {
+    throw new Error(`This profile was made by a newer version of the app (format v${raw.version}).`);
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error("The profile has no name.");
+  if (raw.event?.id !== event.id) throw new Error(`${raw.name}'s profile is for '${raw.event?.id}', not '${event.id}'.`);
+  if (!raw.passions || typeof raw.passions !== 'object') throw new Error(`${raw.name}'s profile has no passions.`);
+
+  const passions = Object.fromEntries(Object.entries(raw.passions)
+    .filter(([passionName, score]) => event.passions.includes(passionName) && Number.isFinite(score) && score > 0));
+  const name = raw.name.trim();
+  return {
+    id: `${event.id}:${name.toLowerCase()}`,
+    name,
+    eventId: event.id,
+    photoCount: Number.isFinite(raw.photoCount) ? raw.photoCount : null,
+    passions
+  };
+};
+
+// The live profile of whoever is using the app, in the same shape as an imported one.
+export const attendeeFromProfile = ({ name, event, profile }) => ({
+  id: `${event.id}:self`,
+  name,
+  eventId: event.id,
+  photoCount: profile.photoCount,
+  passions: Object.fromEntries(profile.items.filter(item => item.score > 0).map(item => [item.passionName, item.score])),
+  isSelf: true
+});
+
+export const loadAttendees = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ATTENDEES_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn("Could not read saved attendees:", error);
+    return [];
+  }
+};
+
+export const saveAttendees = (attendees) => {
+  try {
+    localStorage.setItem(ATTENDEES_KEY, JSON.stringify(attendees));
+  } catch (error) {
+    console.warn("Could not save attendees:", error);
+  }
+};
+
+export const loadAttendeeName = () => localStorage.getItem(NAME_KEY) || '';
+
+export const saveAttendeeName = (name) => {
+  try {
+    localStorage.setItem(NAME_KEY, name);
+  } catch (error) {
+    console.warn("Could not save your name:", error);
+  }
+};
+
+// --- Matching ---
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  Object.entries(a).forEach(([passionName, score]) => { dot += score * (b[passionName] || 0); });
+  const norm = (vector) => Math.sqrt(Object.values(vector).reduce((sum, score) => sum + score * score, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+};
+
+// Items both people score, strongest joint interest first. Each share is normalized to the person's own
+// top score so someone with many photos doesn't dominate.
+const sharedPassions = (a, b) => {
+  const maxA = Math.max(...Object.values(a.passions));
+  const maxB = Math.max(...Object.values(b.passions));
+  return Object.keys(a.passions)
+    .filter(passionName => b.passions[passionName] > 0)
+    .map(passionName => ({
+      passionName,
+      strength: Math.min(a.passions[passionName] / maxA, b.passions[passionName] / maxB)
+    }))
+    .sort((x, y) => y.strength - x.strength || x.passionName.localeCompare(y.passionName));
+};
+
+const describeOverlap = (a, b, shared, event) => {
+  const top = shared.slice(0, SHARED_PASSION_COUNT).map(item => item.passionName);
+  const categories = [...new Set(top.map(passionName => getCategoryForPassion(event, passionName)).filter(Boolean))];
+  const list = top.length > 1 ? `${top.slice(0, -1).join(', ')} and ${top[top.length - 1]}` : top[0];
+  return `${a.name} and ${b.name} both lean toward ${list}` +
+    (top.length > 1 && categories.length === 1 ? `, all in ${categories[0]}.` : '.') +
+    (shared.length > top.length ? ` They share ${shared.length - top.length} more ${shared.length - top.length === 1 ? 'interest' : 'interests'}.` : '');
+};
+
+// attendees: [{ id, name, passions }]; schedule from loadSchedule (or null).
+// Returns [{ a, b, similarity, shared: [{ passionName, strength }], sessions, explanation }], best match first.
+// sessions are scheduled sessions for the top shared items; without a schedule the shared items themselves
+// are the places to meet.
+export const suggestConnections = (attendees, event, { schedule = null, minSimilarity = MIN_SIMILARITY } = {}) => {
+  const withPassions = attendees.filter(attendee => Object.keys(attendee.passions).length > 0);
+  const suggestions = [];
+  withPassions.forEach((a, i) => {
+    withPassions.slice(i + 1).forEach(b => {
+      const similarity = cosineSimilarity(a.passions, b.passions);
+      if (similarity < minSimilarity) return;
+      const shared = sharedPassions(a, b);
+      if (shared.length === 0) return;
+      const topItems = shared.slice(0, SHARED_PASSION_COUNT).map(item => item.passionName);
+      const sessions = schedule
+        ? schedule.sessions
+          .filter(session => topItems.includes(session.item))
+          .sort((x, y) => topItems.indexOf(x.item) - topItems.indexOf(y.item) || x.startMs - y.startMs)
+          .slice(0, SESSIONS_PER_SUGGESTION)
+          .sort((x, y) => x.startMs - y.startMs)
+        : [];
+      suggestions.push({
+        a, b,
+        similarity: Math.round(similarity * 100) / 100,
+        shared,
+        sessions,
+        explanation: describeOverlap(a, b, shared, event)
+      });
+    });
+  });
+  return suggestions.sort((x, y) => y.similarity - x.similarity);
+};
@@ -0,0 +1,126 @@
+import { describeTimeOfDay } from './timeline.js';
+
+// --- User corrections to matched tags, persisted in localStorage ---
+// Corrected analysis data keeps the model's tags in originalPassions, marks each tag the user touched with a
+// verdict ('accepted' | 'added') and lists removed tags in rejectedPassions. Saved corrections become few-shot
+// examples in later prompts so the model picks up this user's preferences.
+//
+// Correction record: { key, eventId, fileName, description, matchedPassions, rejectedPassions, hour, updatedAt }
+
+const CORRECTIONS_KEY = 'summit-photo-mapper.corrections';
+const MAX_STORED_CORRECTIONS = 200;
+export const MAX_CORRECTION_EXAMPLES = 3;
+
+// Returns a new analysis data object with one tag edit applied.
+export const applyTagEdit = (data, action, passionName) => {
+  const originalPassions = data.originalPassions || data.matchedPassions;
+  const rejectedPassions = data.rejectedPassions || [];
+  const others = data.matchedPassions.filter(match => match.passionName !== passionName);
+  switch (action) {
+    case 'accept':
+      return {
+        ...data, originalPassions, rejectedPassions,
+        matchedPassions: data.matchedPassions.map(match => (match.passionName === passionName ? { ...match, verdict: 'accepted' } : match))
+      };
+    case 'promote':
+      return {
+        ...data, originalPassions, rejectedPassions,
+        matchedPassions: data.matchedPassions.map(match => (match.passionName === passionName
+          ? { ...match, confidence: 'High', verdict: 'accepted' }
+          : match))
+      };
+    case 'reject':
+      return { ...data, originalPassions, matchedPassions: others, rejectedPassions: [...new Set([...rejectedPassions, passionName])] };
+    case 'add':
+      return {
+        ...data, originalPassions,
+        matchedPassions: [...others, { passionName, confidence: 'High', verdict: 'added' }],
+        rejectedPassions: rejectedPassions.filter(name => name !== passionName)
+      };
+    case 'reset': {
+      const { originalPassions: _original, rejectedPassions: _rejected, ...rest } = data;
+      return { ...rest, matchedPassions: originalPassions };
+    }
+    default:
+      throw new Error(`Unknown tag action "${action}".`);
+  }
+};
+
+export const isCorrected = (data) => Boolean(data?.originalPassions) &&
+  (data.rejectedPassions.length > 0 || data.matchedPassions.some(match => match.verdict));
+
+export const buildCorrection = ({ key, event, fileName, data, capture }) => ({
+  key,
+  eventId: event.id,
+  fileName,
+  description: data.description,
+  matchedPassions: data.matchedPassions,
+  rejectedPassions: data.rejectedPassions || [],
+  hour: capture ? capture.hour : null,
+  updatedAt: Date.now()
+});
+
+// Replaces any earlier correction of the same photo; uncorrected data removes it.
+export const upsertCorrection = (corrections, correction, data) => {
+  const rest = corrections.filter(c => !(c.key === correction.key && c.eventId === correction.eventId));
+  if (!isCorrected(data)) return rest;
+  return [correction, ...rest].slice(0, MAX_STORED_CORRECTIONS);
+};
+
+export const loadCorrections = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CORRECTIONS_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn("Could not read saved corrections:", error);
+    return [];
+  }
+};
+
+export const saveCorrections = (corrections) => {
+  try {
+    localStorage.setItem(CORRECTIONS_KEY, JSON.stringify(corrections));
+  } catch (error) {
+    console.warn("Could not save corrections:", error);
+  }
+};
+
+// How much a correction tells the model: rejections, additions and promotions count more than confirmations.
+const correctionWeight = (correction) => correction.rejectedPassions.length * 2 +
+  correction.matchedPassions.filter(match => match.verdict === 'added').length * 2 +
+  correction.matchedPassions.filter(match => match.verdict === 'accepted').length;
+
+// Picks the corrections most worth showing the model for a photo taken at `capture` (from parseCaptureTime, or null):
+// same event, only catalog items, same time of day first, then the most informative and most recent.
+export const selectCorrectionExamples = (corrections, event, { capture = null, limit = MAX_CORRECTION_EXAMPLES } = {}) => {
+  const timeOfDay = capture ? describeTimeOfDay(capture) : null;
+  return corrections
+    .filter(c => c.eventId === event.id && c.description)
+    .map(c => ({
+      ...c,
+      matchedPassions: c.matchedPassions.filter(match => event.passions.includes(match.passionName)),
+      rejectedPassions: c.rejectedPassions.filter(name => event.passions.includes(name))
+    }))
+    .filter(c => correctionWeight(c) > 0)
+    .map(c => ({
+      correction: c,
+      score: correctionWeight(c) + (timeOfDay && c.hour !== null && describeTimeOfDay({ hour: c.hour }) === timeOfDay ? 3 : 0)
+    }))
+    .sort((a, b) => b.score - a.score || b.correction.updatedAt - a.correction.updatedAt)
+    .slice(0, limit)
+    .map(({ correction }) => correction);
+};
+
+const quoteList = (names) => names.map(name => `"${name}"`).join(', ');
+
+// One prompt line per example, e.g. `- "A DJ on deck at night": High "DJ Sets"; rejected "Yoga".`
+export const describeCorrectionExamples = (examples) => examples.map(example => {
+  const high = example.matchedPassions.filter(match => match.confidence === 'High').map(match => match.passionName);
+  const suggested = example.matchedPassions.filter(match => match.confidence !== 'High').map(match => match.passionName);
+  const parts = [
+    high.length > 0 && `High ${quoteList(high)}`,
+    suggested.length > 0 && `Suggested ${quoteList(suggested)}`,
+    example.rejectedPassions.length > 0 && `rejected ${quoteList(example.rejectedPassions)}`
+  ].filter(Boolean);
+  return `- "${example.description}": ${parts.join('; ')}.`;
+}).join('\n');
@@ -0,0 +1,4 @@
+// --- Build-time configuration shared by the app and the CLI ---
+// Vite inlines import.meta.env into the bundle; under plain Node (the CLI) the same VITE_* names come from process.env.
+
+export const env = import.meta.env ?? globalThis.process?.env ?? {};
@@ -0,0 +1,100 @@
+// --- Event definitions: lineup, passion catalog and prompt hints per event ---
+// Pure validation with no browser or Vite dependencies, so the CLI can load event files too.
+//
+// Format:
+// {
+//   "id": "summit-at-sea-2024",          // unique slug
+//   "name": "Summit at Sea 2024",
+//   "version": 1,                         // bump when the catalog or hints change
+//   "categories": [{ "name": "Music & Nightlife", "items": ["DJ Sets & Dance Parties", ...] }],
+//   "lineup":     [{ "label": "Music & Nightlife", "hints": ["Diplo", ...] }],        // optional
+//   "examples":   [{ "scene": "A party photo", "items": ["DJ Sets & Dance Parties"] }] // optional
+// }
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+export const validateEvent = (raw) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return ["Event definition must be a JSON object."];
+  }
+
+  if (!isNonEmptyString(raw.id) || !/^[a-z0-9][a-z0-9-]*$/.test(raw.id)) {
+    errors.push("'id' must be a lowercase slug such as 'summit-series-2025'.");
+  }
+  if (!isNonEmptyString(raw.name)) errors.push("'name' is required.");
+  if (raw.version !== undefined && !Number.isInteger(raw.version)) errors.push("'version' must be an integer.");
+
+  const seenItems = new Set();
+  if (!Array.isArray(raw.categories) || raw.categories.length === 0) {
+    errors.push("'categories' must be a non-empty array.");
+  } else {
+    raw.categories.forEach((category, i) => {
+      if (!isNonEmptyString(category?.name)) errors.push(`categories[${i}].name is required.`);
+      if (!Array.isArray(category?.items) || category.items.length === 0) {
+        errors.push(`categories[${i}].items must be a non-empty array.`);
+        return;
+      }
+      category.items.forEach((item, j) => {
+        if (!isNonEmptyString(item)) {
+          errors.push(`categories[${i}].items[${j}] must be a non-empty string.`);
+        } else if (seenItems.has(item)) {
+          errors.push(`Item "${item}" appears more than once.`);
+        } else {
+          seenItems.add(item);
+        }
+      });
+    });
+  }
+
+  if (raw.lineup !== undefined) {
+    if (!Array.isArray(raw.lineup)) {
+      errors.push("'lineup' must be an array.");
+    } else {
+      raw.lineup.forEach((entry, i) => {
+        if (!isNonEmptyString(entry?.label)) errors.push(`lineup[${i}].label is required.`);
+        if (!Array.isArray(entry?.hints) || !entry.hints.every(isNonEmptyString)) {
+          errors.push(`lineup[${i}].hints must be an array of strings.`);
+        }
+      });
+    }
+  }
+
+  if (raw.examples !== undefined) {
+    if (!Array.isArray(raw.examples)) {
+      errors.push("'examples' must be an array.");
+    } else {
+      raw.examples.forEach((example, i) => {
+        if (!isNonEmptyString(example?.scene)) errors.push(`examples[${i}].scene is required.`);
+        if (!Array.isArray(example?.items) || example.items.length === 0) {
+          errors.push(`examples[${i}].items must be a non-empty array.`);
+        } else {
+          example.items
+            .filter(item => !seenItems.has(item))
+            .forEach(item => errors.push(`examples[${i}] references unknown item "${item}".`));
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+export const parseEvent = (raw) => {
+  const errors = validateEvent(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid event definition: ${errors.join(' ')}`);
+  }
+  return {
+    id: raw.id,
+    name: raw.name.trim(),
+    version: raw.version ?? 1,
+    categories: raw.categories.map(category => ({ name: category.name, items: [...category.items] })),
+    lineup: raw.lineup || [],
+    examples: raw.examples || [],
+    passions: raw.categories.flatMap(category => category.items)
+  };
+};
+
+export const getCategoryForPassion = (event, passionName) =>
+  event.categories.find(category => category.items.includes(passionName))?.name || null;
@@ -0,0 +1,52 @@
+import { parseEvent } from './eventDefinition.js';
+
+// --- Event definitions: bundled with the app or imported by the user ---
+// Bundled events live in src/events/*.json; the format is documented in eventDefinition.js.
+
+export { validateEvent, parseEvent, getCategoryForPassion } from './eventDefinition.js';
+
+const CUSTOM_EVENTS_KEY = 'summit-photo-mapper.customEvents';
+
+// --- Bundled and user-imported events ---
+
+const bundledModules = import.meta.glob('../events/*.json', { eager: true, import: 'default' });
+
+export const BUNDLED_EVENTS = Object.values(bundledModules)
+  .map(parseEvent)
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+export const loadCustomEvents = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_EVENTS_KEY) || '[]');
+    return stored.flatMap(raw => {
+      try {
+        return [parseEvent(raw)];
+      } catch (error) {
+        console.warn("Dropping invalid saved event:", error);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn("Could not read saved events:", error);
+    return [];
+  }
+};
+
+export const saveCustomEvents = (events) => {
+  try {
+    const raw = events.map(({ passions, ...definition }) => definition);
+    localStorage.setItem(CUSTOM_EVENTS_KEY, JSON.stringify(raw));
+  } catch (error) {
+    console.warn("Could not save events:", error);
+  }
+};
+
+export const readEventFile = async (file) => {
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+  return parseEvent(raw);
+};
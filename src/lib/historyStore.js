@@ -0,0 +1,163 @@
+// --- Local analysis history in IndexedDB ---
+// Analyses are keyed by a hash of the original image bytes plus the event/prompt/provider that
+// produced them, so re-uploading the same photo reuses the stored result instead of a new model call.
+// Records: { key, contentHash, eventId, eventName, eventVersion, promptVersion, providerId, fileName,
+//            image (Blob), data, metadata, upload, keyframes ([{ time, blob }] for video clips, else null), sessionId,
+//            copiedFrom (near-duplicates given another photo's analysis: its file name; upload is then null), createdAt, updatedAt }
+// The same database also holds the offline queue (see offlineQueue.js).
+
+const DB_NAME = 'summit-photo-mapper';
+const DB_VERSION = 2;
+const ANALYSES_STORE = 'analyses';
+export const PENDING_STORE = 'pending'; // added in version 2
+const SESSION_KEY = 'summit-photo-mapper.sessionId';
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ANALYSES_STORE)) {
+          const store = db.createObjectStore(ANALYSES_STORE, { keyPath: 'key' });
+          store.createIndex('sessionId', 'sessionId');
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+        if (!db.objectStoreNames.contains(PENDING_STORE)) {
+          db.createObjectStore(PENDING_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version open in another tab instead of blocking its upgrade.
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const result = callback(transaction.objectStore(storeName));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result instanceof IDBRequest ? result.result : result;
+};
+
+// --- Content hashing ---
+
+const knownHashes = new WeakMap(); // File -> hex digest, also seeded for files restored from history
+
+const HASH_CHUNK_BYTES = 8 * 1024 * 1024;
+
+const sha256 = async (data) => new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+
+// Web Crypto can't hash incrementally, so anything over one chunk (video clips) is hashed chunk by chunk and then
+// over the chunk digests, and never sits in memory whole. Photos keep their plain SHA-256.
+export const hashBlob = async (blob) => {
+  if (knownHashes.has(blob)) return knownHashes.get(blob);
+  let digest;
+  if (blob.size <= HASH_CHUNK_BYTES) {
+    digest = await sha256(await blob.arrayBuffer());
+  } else {
+    const chunkDigests = [];
+    for (let offset = 0; offset < blob.size; offset += HASH_CHUNK_BYTES) {
+      chunkDigests.push(await sha256(await blob.slice(offset, offset + HASH_CHUNK_BYTES).arrayBuffer()));
+    }
+    const joined = new Uint8Array(chunkDigests.length * 32);
+    chunkDigests.forEach((chunkDigest, index) => joined.set(chunkDigest, index * 32));
+    digest = await sha256(joined);
+  }
+  const hash = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  knownHashes.set(blob, hash);
+  return hash;
+};
+
+// sharedGroups are the metadata groups the privacy settings allowed into the prompt; a different set means a different prompt.
+// The correction examples (corrections.js) are left out on purpose: they change with every tag edit, including edits
+// to this very photo, whose corrected analysis is what the record holds. Keying on them would throw that away and pay
+// for a new call on each re-upload. Retry on a finished photo bypasses the cache and uses the current examples.
+export const buildCacheKey = ({ contentHash, event, promptVersion, providerId, sharedGroups = [] }) =>
+  `${contentHash}|${event.id}@${event.version}|p${promptVersion}|${providerId}|m:${sharedGroups.join(',')}`;
+
+// --- Sessions ---
+
+const newSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const getSessionId = () => {
+  let sessionId = localStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = newSessionId();
+    localStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+export const startNewSession = () => {
+  const sessionId = newSessionId();
+  localStorage.setItem(SESSION_KEY, sessionId);
+  return sessionId;
+};
+
+// --- Records ---
+
+export const getAnalysis = (key) => withStore(ANALYSES_STORE, 'readonly', store => store.get(key));
+
+export const saveAnalysis = (record) => {
+  const now = Date.now();
+  return withStore(ANALYSES_STORE, 'readwrite', store => store.put({ createdAt: now, ...record, updatedAt: now }));
+};
+
+export const updateAnalysis = async (key, patch) => {
+  const existing = await getAnalysis(key);
+  if (!existing) return;
+  await withStore(ANALYSES_STORE, 'readwrite', store => store.put({ ...existing, ...patch, updatedAt: Date.now() }));
+};
+
+export const listAnalyses = async () => {
+  const records = await withStore(ANALYSES_STORE, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const listSessionAnalyses = async (sessionId) => {
+  const records = await withStore(ANALYSES_STORE, 'readonly', store => store.index('sessionId').getAll(sessionId));
+  return records.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const deleteAnalysis = (key) => withStore(ANALYSES_STORE, 'readwrite', store => store.delete(key));
+
+export const clearAnalyses = () => withStore(ANALYSES_STORE, 'readwrite', store => store.clear());
+
+const restoredRecords = new WeakMap(); // File -> the history record it was rebuilt from
+
+// Rebuilds a File from a stored record so it can rejoin the workspace like a fresh upload.
+// The stored image is the downscaled upload without its EXIF, so a re-analysis takes its metadata from the record
+// (see getRestoredRecord).
+export const recordToFile = (record) => {
+  const file = new File([record.image], record.fileName, { type: record.image.type, lastModified: record.createdAt });
+  knownHashes.set(file, record.contentHash);
+  restoredRecords.set(file, record);
+  return file;
+};
+
+export const getRestoredRecord = (file) => restoredRecords.get(file) || null;
@@ -0,0 +1,100 @@
+// --- Fetch helpers shared by the analysis providers ---
+
+// kind is one of: 'rate_limit', 'quota', 'server', 'client', 'network'.
+export class ApiError extends Error {
+  constructor(message, { status = null, kind, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.kind = kind;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return ['rate_limit', 'server', 'network'].includes(this.kind);
+  }
+}
+
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Retry-After is either delta-seconds or an HTTP date.
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.clone().json();
+    return body.error?.message || body.error?.details?.[0]?.message || body.message || null;
+  } catch {
+    return null;
+  }
+};
+
+const classifyResponse = async (response) => {
+  const message = await readErrorMessage(response);
+  const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  const { status } = response;
+  const detail = message || `${status} ${response.statusText}`.trim();
+
+  // Gemini reports both per-minute throttling and exhausted quotas as 429 RESOURCE_EXHAUSTED;
+  // only the message tells a hard quota (or billing) problem apart.
+  if ((status === 429 || status === 403) && /quota|billing/i.test(message || '') && retryAfterMs === null) {
+    return new ApiError(`Quota exhausted: ${detail}`, { status, kind: 'quota' });
+  }
+  if (status === 429) {
+    return new ApiError(`Rate limited: ${detail}`, { status, kind: 'rate_limit', retryAfterMs });
+  }
+  if (status >= 500) {
+    return new ApiError(`Server error: ${detail}`, { status, kind: 'server', retryAfterMs });
+  }
+  return new ApiError(`Request rejected: ${detail}`, { status, kind: 'client' });
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export const exponentialBackoffFetch = async (url, options = {}, maxRetries = 3) => {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    let error;
+    try {
+      const response = await fetch(url, options);
+      if (response.ok) {
+        return response;
+      }
+      error = await classifyResponse(response);
+    } catch (fetchError) {
+      if (isAbortError(fetchError)) throw fetchError;
+      error = new ApiError(`Network error: ${fetchError.message}`, { kind: 'network' });
+    }
+
+    // Retrying while the device is offline only burns time; callers defer the work instead.
+    if (!error.retryable || attempt === maxRetries - 1 || (error.kind === 'network' && isOffline())) {
+      console.error("Fetch failed:", error);
+      throw error;
+    }
+
+    const backoff = Math.pow(2, attempt) * 1000 + Math.random() * 500;
+    const delay = Math.min(error.retryAfterMs ?? backoff, MAX_RETRY_AFTER_MS);
+    console.warn(`${error.message}. Retrying in ${Math.round(delay)}ms... (Attempt ${attempt + 1})`);
+    await sleep(delay, options.signal);
+  }
+};
@@ -0,0 +1,145 @@
+// --- Client-side image preprocessing before upload ---
+// Applies EXIF orientation, downscales to a max edge, re-encodes to JPEG/WebP and converts HEIC,
+// so large phone photos don't go over slow ship Wi-Fi at full size.
+
+export const DEFAULT_PREPROCESSING = {
+  enabled: true,
+  maxEdge: 1600,
+  format: 'image/jpeg', // or 'image/webp'
+  quality: 0.85
+};
+
+const PASSTHROUGH_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+export const isHeic = (file) => /^image\/hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+
+export const isSupportedImage = (file) => file.type.startsWith('image/') || isHeic(file);
+
+export const toBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.readAsDataURL(blob);
+  reader.onload = () => resolve(reader.result.split(',')[1]);
+  reader.onerror = (error) => reject(error);
+});
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 || value >= 10 ? 0 : 1)} ${units[exponent]}`;
+};
+
+export const decodeImage = async (file, quality = DEFAULT_PREPROCESSING.quality) => {
+  try {
+    // 'from-image' applies the EXIF orientation tag while decoding.
+    return await createImageBitmap(file, { imageOrientation: 'from-image' });
+  } catch (nativeError) {
+    if (!isHeic(file)) throw nativeError;
+    // Only Safari decodes HEIC natively; elsewhere convert with heic2any (loaded on demand).
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality });
+    return createImageBitmap(Array.isArray(converted) ? converted[0] : converted, { imageOrientation: 'from-image' });
+  }
+};
+
+export const encodeCanvas = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Image encoding failed."))), type, quality);
+  });
+};
+
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Resolves to { blob, mimeType, width, height, originalBytes, bytes, reencoded }. Re-encoded images carry no
+// EXIF/XMP/IPTC; pass stripMetadata to never send the original bytes (even when resizing is off).
+export const preprocessImage = async (file, options = DEFAULT_PREPROCESSING) => {
+  const { enabled, maxEdge, format, quality, stripMetadata = false } = { ...DEFAULT_PREPROCESSING, ...options };
+  const passthrough = {
+    blob: file, mimeType: file.type, width: null, height: null, originalBytes: file.size, bytes: file.size, reencoded: false
+  };
+
+  if (!enabled && !isHeic(file) && !stripMetadata) return passthrough;
+  // Animated GIFs would lose their frames; send them untouched unless their metadata must go.
+  if (file.type === 'image/gif' && !stripMetadata) return passthrough;
+
+  const bitmap = await decodeImage(file, quality);
+  try {
+    const scale = enabled ? Math.min(1, maxEdge / Math.max(bitmap.width, bitmap.height)) : 1;
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    const blob = await encodeCanvas(canvas, format, quality);
+
+    // Re-encoding an already small image can make it bigger; keep the original then.
+    if (!stripMetadata && scale === 1 && blob.size >= file.size && PASSTHROUGH_TYPES.includes(file.type)) {
+      return { ...passthrough, width, height };
+    }
+    return { blob, mimeType: blob.type || format, width, height, originalBytes: file.size, bytes: blob.size, reencoded: true };
+  } finally {
+    bitmap.close?.();
+  }
+};
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.readAsDataURL(blob);
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = (error) => reject(error);
+});
+
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+// Small JPEG used for exports and reports.
+export const createThumbnail = async (file, maxEdge = 320) => {
+  const { blob } = await preprocessImage(file, { enabled: true, maxEdge, format: 'image/jpeg', quality: 0.7 });
+  return blob;
+};
+
+// --- Lossless metadata removal for JPEGs, for the CLI (Node has no canvas to re-encode with) ---
+// Drops APP1 (EXIF, XMP), APP13 (IPTC) and comment segments and copies everything else byte for byte, so the
+// image data is untouched. Without EXIF the orientation flag goes too, which the model tolerates.
+// Returns the stripped bytes, or null when `bytes` isn't a JPEG this can walk.
+const METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+export const stripJpegMetadata = (bytes) => {
+  if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const kept = [bytes.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+      continue;
+    }
+    if (marker === 0xda) {
+      // Start of scan: the compressed image data and everything after it stay as they are.
+      kept.push(bytes.subarray(offset));
+      break;
+    }
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    if (length < 2 || end > bytes.length) return null;
+    if (!METADATA_MARKERS.has(marker)) kept.push(bytes.subarray(offset, end));
+    offset = end;
+  }
+  if (kept.length < 2) return null;
+  const stripped = new Uint8Array(kept.reduce((sum, part) => sum + part.length, 0));
+  kept.reduce((position, part) => {
+    stripped.set(part, position);
+    return position + part.length;
+  }, 0);
+  return stripped;
+};
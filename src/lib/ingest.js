@@ -0,0 +1,125 @@
+import { isSupportedImage, formatBytes } from './imagePreprocess.js';
+import { isVideo, MAX_VIDEO_BYTES } from './videoFrames.js';
+
+// --- Shared ingestion path for the file picker, folder picker, drag-and-drop, paste and ZIP archives ---
+
+const IMAGE_TYPES_BY_EXTENSION = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
+  webp: 'image/webp', heic: 'image/heic', heif: 'image/heif', avif: 'image/avif'
+};
+
+const extensionOf = (name) => name.split('.').pop().toLowerCase();
+
+export const imageTypeForName = (name) => IMAGE_TYPES_BY_EXTENSION[extensionOf(name)] || null;
+
+const isZip = (file) => file.type === 'application/zip' || file.type === 'application/x-zip-compressed' || extensionOf(file.name) === 'zip';
+
+const isHiddenPath = (path) => path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+
+export const fileKey = (file) => `${file.name}|${file.size}`;
+
+const extractZip = async (zipFile) => {
+  const { unzip } = await import('fflate');
+  const archive = new Uint8Array(await zipFile.arrayBuffer());
+  const skipped = [];
+  const entries = await new Promise((resolve, reject) => {
+    unzip(archive, {
+      // Only inflate entries that look like images; other files are reported as skipped.
+      filter: entry => {
+        if (entry.name.endsWith('/') || isHiddenPath(entry.name)) return false;
+        if (IMAGE_TYPES_BY_EXTENSION[extensionOf(entry.name)]) return true;
+        skipped.push(entry.name);
+        return false;
+      }
+    }, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+  const images = Object.entries(entries).map(([path, bytes]) => new File([bytes], path.split('/').pop(), {
+    type: IMAGE_TYPES_BY_EXTENSION[extensionOf(path)],
+    lastModified: zipFile.lastModified
+  }));
+  return { images, skipped };
+};
+
+// Walks dropped folders via the (webkit-prefixed but universally supported) entries API.
+const readEntry = async (entry) => {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  if (!entry.isDirectory || isHiddenPath(entry.name)) return [];
+
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns results in chunks; keep reading until it comes back empty.
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+  const nested = await Promise.all(children.map(readEntry));
+  return nested.flat();
+};
+
+export const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return Array.from(dataTransfer.files || []);
+  const nested = await Promise.all(entries.map(readEntry));
+  return nested.flat();
+};
+
+// Clipboard images usually arrive as "image.png"; give each a unique name so they don't look like duplicates.
+export const collectPastedFiles = (clipboardData) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return Array.from(clipboardData?.files || []).map((file, i) => new File(
+    [file],
+    `pasted-${stamp}-${i + 1}.${extensionOf(file.name) || 'png'}`,
+    { type: file.type, lastModified: Date.now() }
+  ));
+};
+
+// Returns { accepted: File[], rejected: [{ name, reason }] }. Files are taken in order until maxFiles is reached.
+// getExisting() is read after archives are extracted, so adds that overlap check against the files added meanwhile.
+export const ingestFiles = async (candidates, { getExisting = () => [], maxFiles }) => {
+  const accepted = [];
+  const rejected = [];
+
+  const expanded = [];
+  for (const file of candidates) {
+    if (!isZip(file)) {
+      expanded.push(file);
+      continue;
+    }
+    try {
+      const { images, skipped } = await extractZip(file);
+      if (images.length === 0) rejected.push({ name: file.name, reason: 'archive contains no images' });
+      skipped.forEach(path => rejected.push({ name: `${file.name}/${path}`, reason: 'not an image' }));
+      expanded.push(...images);
+    } catch (error) {
+      console.warn(`Could not extract ${file.name}:`, error);
+      rejected.push({ name: file.name, reason: 'archive could not be opened' });
+    }
+  }
+
+  const existing = getExisting();
+  const seen = new Set(existing.map(fileKey));
+  for (const file of expanded) {
+    // System files such as .DS_Store come along with folders; drop them quietly.
+    if (file.name.startsWith('.')) continue;
+    if (!isSupportedImage(file) && !isVideo(file)) {
+      rejected.push({ name: file.name, reason: 'not an image or video' });
+    } else if (isVideo(file) && file.size > MAX_VIDEO_BYTES) {
+      rejected.push({ name: file.name, reason: `video is over ${formatBytes(MAX_VIDEO_BYTES)}` });
+    } else if (seen.has(fileKey(file))) {
+      rejected.push({ name: file.name, reason: 'already added' });
+    } else if (existing.length + accepted.length >= maxFiles) {
+      rejected.push({ name: file.name, reason: `limit of ${maxFiles} photos reached` });
+    } else {
+      seen.add(fileKey(file));
+      accepted.push(file);
+    }
+  }
+
+  return { accepted, rejected };
+};
@@ -0,0 +1,152 @@
+// --- Event schedules and itinerary planning ---
+// A schedule file lists timed sessions for one event, each linked to a catalog item:
+// {
+//   "eventId": "summit-at-sea-2024",
+//   "sessions": [
+//     { "id": "yoga-fri", "title": "Sunrise Yoga", "start": "2024-11-01T07:30:00-04:00",
+//       "end": "2024-11-01T08:30:00-04:00", "venue": "Pool Deck", "item": "Morning Yoga & Flow" }
+//   ]
+// }
+// Times are ISO 8601 with an offset; the date and clock time as written are treated as event-local.
+
+const SCHEDULES_KEY = 'summit-photo-mapper.schedules';
+const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+export const validateSchedule = (raw, event) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ["Schedule must be a JSON object."];
+  if (raw.eventId !== event.id) errors.push(`Schedule is for '${raw.eventId}', not '${event.id}'.`);
+  if (!Array.isArray(raw.sessions) || raw.sessions.length === 0) {
+    errors.push("'sessions' must be a non-empty array.");
+    return errors;
+  }
+
+  const ids = new Set();
+  raw.sessions.forEach((session, i) => {
+    const label = `sessions[${i}]`;
+    if (typeof session?.title !== 'string' || !session.title.trim()) errors.push(`${label}.title is required.`);
+    if (!ISO_WITH_OFFSET.test(session?.start || '')) errors.push(`${label}.start must be an ISO time with an offset.`);
+    if (!ISO_WITH_OFFSET.test(session?.end || '')) errors.push(`${label}.end must be an ISO time with an offset.`);
+    else if (Date.parse(session.end) <= Date.parse(session.start)) errors.push(`${label} ends before it starts.`);
+    if (!event.passions.includes(session?.item)) errors.push(`${label}.item "${session?.item}" is not in the event catalog.`);
+    if (session?.id !== undefined) {
+      if (ids.has(session.id)) errors.push(`${label}.id "${session.id}" is duplicated.`);
+      ids.add(session.id);
+    }
+  });
+  return errors;
+};
+
+export const parseSchedule = (raw, event) => {
+  const errors = validateSchedule(raw, event);
+  if (errors.length > 0) throw new Error(`Invalid schedule: ${errors.join(' ')}`);
+  return {
+    eventId: raw.eventId,
+    sessions: raw.sessions
+      .map((session, i) => ({
+        id: session.id ?? `session-${i + 1}`,
+        title: session.title.trim(),
+        start: session.start,
+        end: session.end,
+        startMs: Date.parse(session.start),
+        endMs: Date.parse(session.end),
+        venue: session.venue || '',
+        item: session.item,
+        description: session.description || ''
+      }))
+      .sort((a, b) => a.startMs - b.startMs)
+  };
+};
+
+// --- Bundled (src/events/schedules/*.json) and user-imported schedules ---
+
+const bundledSchedules = import.meta.glob('../events/schedules/*.json', { eager: true, import: 'default' });
+
+const loadStoredSchedules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SCHEDULES_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+export const loadSchedule = (event) => {
+  const stored = loadStoredSchedules()[event.id];
+  const bundled = Object.values(bundledSchedules).find(raw => raw.eventId === event.id);
+  for (const raw of [stored, bundled]) {
+    if (!raw) continue;
+    try {
+      return parseSchedule(raw, event);
+    } catch (error) {
+      console.warn(`Ignoring invalid schedule for ${event.id}:`, error);
+    }
+  }
+  return null;
+};
+
+export const importScheduleFile = async (file, event) => {
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+  const schedule = parseSchedule(raw, event);
+  try {
+    localStorage.setItem(SCHEDULES_KEY, JSON.stringify({ ...loadStoredSchedules(), [event.id]: raw }));
+  } catch (error) {
+    console.warn("Could not save schedule:", error);
+  }
+  return schedule;
+};
+
+// --- Planning ---
+
+export const overlaps = (a, b) => a.startMs < b.endMs && b.startMs < a.endMs;
+
+export const sessionDay = (session) => session.start.slice(0, 10);
+export const sessionClock = (iso) => iso.slice(11, 16);
+
+// Greedily picks the highest-scoring sessions that don't overlap. Each repeat of the same catalog
+// item is worth less, so the plan spreads across passions instead of ten DJ sets in a row.
+export const planItinerary = (schedule, profile) => {
+  const scores = new Map(profile.items.map(item => [item.passionName, item.score]));
+  const chosen = [];
+  const timesChosen = new Map();
+  const remaining = schedule.sessions.filter(session => (scores.get(session.item) || 0) > 0);
+
+  while (remaining.length > 0) {
+    let best = null;
+    remaining.forEach((session, index) => {
+      const effective = scores.get(session.item) / (1 + (timesChosen.get(session.item) || 0));
+      if (!best || effective > best.effective) best = { session, index, effective };
+    });
+    const [session] = remaining.splice(best.index, 1);
+    if (chosen.some(other => overlaps(other, session))) continue;
+    chosen.push(session);
+    timesChosen.set(session.item, (timesChosen.get(session.item) || 0) + 1);
+  }
+
+  return chosen.sort((a, b) => a.startMs - b.startMs).map(session => session.id);
+};
+
+// Sessions that could replace `session` without clashing with the rest of the plan.
+export const findAlternatives = (schedule, chosenIds, session) => {
+  const others = schedule.sessions.filter(s => chosenIds.includes(s.id) && s.id !== session.id);
+  return schedule.sessions.filter(candidate =>
+    candidate.id !== session.id &&
+    !chosenIds.includes(candidate.id) &&
+    overlaps(candidate, session) &&
+    !others.some(other => overlaps(other, candidate))
+  );
+};
+
+export const groupByDay = (sessions) => {
+  const days = new Map();
+  sessions.forEach(session => {
+    const day = sessionDay(session);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(session);
+  });
+  return [...days.entries()].map(([day, daySessions]) => ({ day, sessions: daySessions }));
+};
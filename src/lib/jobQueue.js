@@ -0,0 +1,81 @@
+// --- Concurrency-limited job queue with pause, resume and cancel ---
+// A job is { key, run(signal), onCancel() }. run is responsible for recording its own outcome;
+// the queue only schedules it and aborts it on cancel. onCancel fires for jobs dropped before they start.
+// beforeStart(job, snapshot) can hold the next job back: returning false pauses the queue with the job still pending.
+
+export const createJobQueue = ({ concurrency = 2, onChange = () => {}, beforeStart = () => true } = {}) => {
+  let limit = Math.max(1, concurrency);
+  let paused = false;
+  const pending = [];
+  const active = new Map(); // key -> AbortController
+
+  const snapshot = () => ({ paused, pending: pending.length, active: active.size });
+  const notify = () => onChange(snapshot());
+
+  const pump = () => {
+    while (!paused && active.size < limit && pending.length > 0) {
+      if (!beforeStart(pending[0], snapshot())) {
+        paused = true;
+        break;
+      }
+      const job = pending.shift();
+      const controller = new AbortController();
+      active.set(job.key, controller);
+
+      Promise.resolve()
+        .then(() => job.run(controller.signal))
+        .catch(error => console.error(`Job ${String(job.key)} failed unexpectedly:`, error))
+        .finally(() => {
+          if (active.get(job.key) === controller) active.delete(job.key);
+          pump();
+          notify();
+        });
+    }
+  };
+
+  const enqueue = (job) => {
+    if (active.has(job.key) || pending.some(p => p.key === job.key)) return false;
+    pending.push(job);
+    pump();
+    notify();
+    return true;
+  };
+
+  const cancel = (key) => {
+    const index = pending.findIndex(job => job.key === key);
+    if (index !== -1) {
+      const [job] = pending.splice(index, 1);
+      job.onCancel?.();
+    }
+    active.get(key)?.abort(new DOMException('Analysis cancelled.', 'AbortError'));
+    notify();
+  };
+
+  const cancelAll = () => {
+    pending.splice(0).forEach(job => job.onCancel?.());
+    active.forEach(controller => controller.abort(new DOMException('Analysis cancelled.', 'AbortError')));
+    paused = false;
+    notify();
+  };
+
+  const pause = () => {
+    paused = true;
+    notify();
+  };
+
+  const resume = () => {
+    paused = false;
+    pump();
+    notify();
+  };
+
+  const setConcurrency = (value) => {
+    limit = Math.max(1, Number(value) || 1);
+    pump();
+    notify();
+  };
+
+  const has = (key) => active.has(key) || pending.some(job => job.key === key);
+
+  return { enqueue, cancel, cancelAll, pause, resume, setConcurrency, has, snapshot };
+};
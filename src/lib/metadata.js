@@ -0,0 +1,197 @@
+import ExifReader from 'exifreader';
+import { parseCaptureTime, describeTimeOfDay } from './timeline.js';
+
+// --- Photo metadata: EXIF, GPS, IPTC and XMP extraction, the prompt context built from it, and the inspector fields ---
+// Metadata objects are plain JSON (they are stored in history and exports):
+// { date, offset, make, camera, lens, software, focalLength, focalLength35, exposureTime, fNumber, iso, flash,
+//   orientation, location: { lat, lng } | null, altitude, heading, keywords: [], caption, title }.
+// Missing values are null.
+
+export const EMPTY_METADATA = {
+  date: null, offset: null, make: null, camera: null, lens: null, software: null,
+  focalLength: null, focalLength35: null, exposureTime: null, fNumber: null, iso: null, flash: null,
+  orientation: null, location: null, altitude: null, heading: null, keywords: [], caption: null, title: null
+};
+
+// Tag descriptions as trimmed strings; repeated IPTC tags arrive as arrays.
+const describe = (tag) => {
+  if (!tag) return null;
+  if (Array.isArray(tag)) return tag.map(describe).filter(Boolean).join(', ') || null;
+  const text = String(tag.description ?? '').replace(/\0/g, '').trim();
+  return text || null;
+};
+
+const describeNumber = (tag) => {
+  const value = parseFloat(describe(tag));
+  return Number.isFinite(value) ? value : null;
+};
+
+const refLetter = (tag) => String(tag?.value?.[0] ?? tag?.description?.[0] ?? '').toUpperCase();
+
+// ExifReader gives GPSLatitude/GPSLongitude as unsigned degrees; the hemisphere lives in the *Ref tag.
+const readGpsCoordinate = (tags, key, negativeRef) => {
+  const degrees = tags[key]?.description;
+  if (typeof degrees !== 'number' || !Number.isFinite(degrees)) return null;
+  return refLetter(tags[`${key}Ref`]) === negativeRef ? -Math.abs(degrees) : degrees;
+};
+
+const readKeywords = (tags) => {
+  const iptc = [tags.Keywords].flat().map(describe);
+  const xmp = (describe(tags.subject) || '').split(',');
+  return [...new Set([...iptc, ...xmp].map(keyword => keyword?.trim()).filter(Boolean))];
+};
+
+// Builds the metadata object from ExifReader's (non-expanded) tags.
+export const extractMetadata = (tags = {}) => {
+  const lat = readGpsCoordinate(tags, 'GPSLatitude', 'S');
+  const lng = readGpsCoordinate(tags, 'GPSLongitude', 'W');
+  const altitude = describeNumber(tags.GPSAltitude);
+  const focalLength35 = describeNumber(tags.FocalLengthIn35mmFilm);
+
+  return {
+    ...EMPTY_METADATA,
+    date: describe(tags.DateTimeOriginal),
+    offset: describe(tags.OffsetTimeOriginal),
+    make: describe(tags.Make),
+    camera: describe(tags.Model),
+    lens: describe(tags.LensModel),
+    software: describe(tags.Software),
+    focalLength: describe(tags.FocalLength),
+    focalLength35: focalLength35 ? `${focalLength35} mm` : null,
+    exposureTime: describe(tags.ExposureTime),
+    fNumber: describe(tags.FNumber),
+    iso: describeNumber(tags.ISOSpeedRatings),
+    flash: describe(tags.Flash),
+    orientation: describe(tags.Orientation),
+    location: lat !== null && lng !== null ? { lat, lng } : null,
+    // GPSAltitudeRef 1 means below sea level.
+    altitude: altitude === null ? null : (tags.GPSAltitudeRef?.value === 1 ? -altitude : altitude),
+    heading: describeNumber(tags.GPSImgDirection),
+    keywords: readKeywords(tags),
+    caption: describe(tags['Caption/Abstract']) || describe(tags.description) || describe(tags.ImageDescription),
+    title: describe(tags['Object Name']) || describe(tags.title) || describe(tags.Headline)
+  };
+};
+
+// Reads metadata from the original file (re-encoded uploads no longer carry it). Never throws.
+// Loading from an ArrayBuffer works the same in the browser and under Node (the CLI).
+export const readPhotoMetadata = async (file) => {
+  try {
+    return extractMetadata(ExifReader.load(await file.arrayBuffer()));
+  } catch (error) {
+    console.warn(`Could not read metadata for ${file.name}:`, error);
+    return { ...EMPTY_METADATA };
+  }
+};
+
+// --- Fields shown in the inspector and sent to the model ---
+
+// Fields are grouped so privacy settings can share or withhold related fields together.
+export const METADATA_GROUPS = [
+  { id: 'time', label: 'Date & time', description: 'Capture date, time of day and timezone offset.' },
+  { id: 'camera', label: 'Camera', description: 'Camera make and model, lens and editing software.' },
+  { id: 'exposure', label: 'Exposure', description: 'Focal length, shutter speed, aperture, ISO and flash.' },
+  { id: 'location', label: 'Location', description: 'GPS position, altitude and the direction the camera faced.' },
+  { id: 'descriptive', label: 'Titles & keywords', description: 'Embedded titles, captions and keywords, which may name people.' }
+];
+export const ALL_METADATA_GROUPS = METADATA_GROUPS.map(group => group.id);
+
+// display(metadata) -> string | null for the inspector; prompt(metadata) -> string | null for the model.
+// Fields without `prompt` are shown but never sent.
+
+const cameraName = (metadata) => {
+  if (!metadata.camera) return metadata.make;
+  // Many phones repeat the make in the model ("Apple" + "iPhone 15" vs "Canon" + "Canon EOS R6").
+  if (!metadata.make || metadata.camera.toLowerCase().startsWith(metadata.make.toLowerCase())) return metadata.camera;
+  return `${metadata.make} ${metadata.camera}`;
+};
+
+const formatExposure = (metadata) => {
+  const parts = [
+    metadata.exposureTime && `${metadata.exposureTime} s`,
+    metadata.fNumber,
+    metadata.iso && `ISO ${metadata.iso}`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+const formatFocalLength = (metadata) => {
+  if (!metadata.focalLength) return metadata.focalLength35 ? `${metadata.focalLength35} (35mm equiv.)` : null;
+  return metadata.focalLength35 && metadata.focalLength35 !== metadata.focalLength
+    ? `${metadata.focalLength} (${metadata.focalLength35} in 35mm terms)`
+    : metadata.focalLength;
+};
+
+const formatLocation = ({ location }) => location && `${location.lat.toFixed(6)}, ${location.lng.toFixed(6)}`;
+
+export const METADATA_FIELDS = [
+  {
+    key: 'date', label: 'Date taken', group: 'time',
+    display: m => m.date && `${m.date}${m.offset ? ` (UTC${m.offset})` : ''}`,
+    prompt: m => m.date && `Date taken: ${m.date}${m.offset ? ` (UTC${m.offset})` : ''}`
+  },
+  {
+    key: 'timeOfDay', label: 'Time of day', group: 'time',
+    display: m => {
+      const capture = parseCaptureTime(m.date, m.offset);
+      return capture && `${capture.clock} (${describeTimeOfDay(capture)})`;
+    },
+    prompt: m => {
+      const capture = parseCaptureTime(m.date, m.offset);
+      return capture && `Time of day: ${capture.clock} local time (${describeTimeOfDay(capture)})`;
+    }
+  },
+  { key: 'camera', label: 'Camera', group: 'camera', display: cameraName, prompt: m => cameraName(m) && `Camera: ${cameraName(m)}` },
+  { key: 'lens', label: 'Lens', group: 'camera', display: m => m.lens, prompt: m => m.lens && `Lens: ${m.lens}` },
+  { key: 'software', label: 'Software', group: 'camera', display: m => m.software },
+  { key: 'focalLength', label: 'Focal length', group: 'exposure', display: formatFocalLength, prompt: m => formatFocalLength(m) && `Focal length: ${formatFocalLength(m)}` },
+  { key: 'exposure', label: 'Exposure', group: 'exposure', display: formatExposure, prompt: m => formatExposure(m) && `Exposure: ${formatExposure(m)}` },
+  { key: 'flash', label: 'Flash', group: 'exposure', display: m => m.flash, prompt: m => m.flash && `Flash: ${m.flash}` },
+  { key: 'orientation', label: 'Orientation', group: 'exposure', display: m => m.orientation },
+  { key: 'location', label: 'GPS position', group: 'location', display: formatLocation, prompt: m => m.location && `Location: (${formatLocation(m)})` },
+  {
+    key: 'altitude', label: 'Altitude', group: 'location',
+    display: m => m.altitude !== null && `${Math.round(m.altitude)} m`,
+    prompt: m => m.altitude !== null && `Altitude: ${Math.round(m.altitude)} m`
+  },
+  {
+    key: 'heading', label: 'Camera heading', group: 'location',
+    display: m => m.heading !== null && `${Math.round(m.heading)}°`,
+    prompt: m => m.heading !== null && `Camera facing: ${Math.round(m.heading)}°`
+  },
+  { key: 'title', label: 'Title', group: 'descriptive', display: m => m.title, prompt: m => m.title && `Title: ${m.title}` },
+  { key: 'caption', label: 'Caption', group: 'descriptive', display: m => m.caption, prompt: m => m.caption && `Caption: ${m.caption}` },
+  {
+    key: 'keywords', label: 'Keywords', group: 'descriptive',
+    display: m => m.keywords?.length > 0 && m.keywords.join(', '),
+    prompt: m => m.keywords?.length > 0 && `Keywords: ${m.keywords.join(', ')}`
+  }
+];
+
+// [{ key, text }] for the fields that would go into the prompt, limited to the shared groups.
+export const selectPromptFields = (metadata, groups = ALL_METADATA_GROUPS) => {
+  const full = { ...EMPTY_METADATA, ...metadata };
+  return METADATA_FIELDS
+    .filter(field => field.prompt && groups.includes(field.group))
+    .map(field => ({ key: field.key, text: field.prompt(full) }))
+    .filter(({ text }) => text);
+};
+
+// [{ key, label, group, value, inPrompt }] for every field the photo actually has. sentKeys, when known,
+// are the fields that really went into the prompt; otherwise any field the prompt can use is marked.
+export const describeMetadata = (metadata, sentKeys = null) => METADATA_FIELDS
+  .map(field => ({ field, value: field.display({ ...EMPTY_METADATA, ...metadata }) }))
+  .filter(({ value }) => value)
+  .map(({ field, value }) => ({
+    key: field.key, label: field.label, group: field.group, value,
+    inPrompt: sentKeys ? sentKeys.includes(field.key) : Boolean(field.prompt)
+  }));
+
+export const NO_METADATA_CONTEXT = "No additional metadata available.";
+
+export const buildMetadataContext = (metadata, groups = ALL_METADATA_GROUPS) => {
+  const parts = selectPromptFields(metadata, groups).map(({ text }) => text);
+  return parts.length > 0
+    ? "Use the following metadata to improve the analysis: " + parts.join('; ')
+    : NO_METADATA_CONTEXT;
+};
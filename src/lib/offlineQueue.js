@@ -0,0 +1,20 @@
+import { withStore, PENDING_STORE } from './historyStore.js';
+
+// --- Photos waiting for a connection, persisted so the queue survives a reload ---
+// Records: { id, file (File), force, queuedAt }. Files round-trip through IndexedDB with their name and type intact.
+
+export const pendingId = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+
+export const savePending = (file, { force = false } = {}) => withStore(PENDING_STORE, 'readwrite', store => store.put({
+  id: pendingId(file),
+  file,
+  force,
+  queuedAt: Date.now()
+}));
+
+export const removePending = (file) => withStore(PENDING_STORE, 'readwrite', store => store.delete(pendingId(file)));
+
+export const listPending = async () => {
+  const records = await withStore(PENDING_STORE, 'readonly', store => store.getAll());
+  return records.sort((a, b) => a.queuedAt - b.queuedAt);
+};
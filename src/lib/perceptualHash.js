@@ -0,0 +1,86 @@
+import { decodeImage, createCanvas } from './imagePreprocess.js';
+
+// --- Perceptual hashing and near-duplicate grouping for burst shots ---
+// dHash: shrink to 9x8 grayscale and record whether each pixel is brighter than its right neighbour.
+// Similar pictures differ in few of the 64 bits, regardless of size, compression or small shifts in exposure.
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+export const DEFAULT_DUPLICATE_SETTINGS = {
+  enabled: true,
+  threshold: 8, // max differing bits (of 64) for two photos to count as near-duplicates
+  analyzeOnce: true // analyze one representative per group and copy its result
+};
+
+const knownHashes = new WeakMap(); // File -> hex hash
+
+// Resolves to a 16-character hex string.
+export const perceptualHash = async (file) => {
+  if (knownHashes.has(file)) return knownHashes.get(file);
+  const bitmap = await decodeImage(file);
+  let pixels;
+  try {
+    const canvas = createCanvas(HASH_WIDTH, HASH_HEIGHT);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+    pixels = context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data;
+  } finally {
+    bitmap.close?.();
+  }
+
+  const luma = (x, y) => {
+    const i = (y * HASH_WIDTH + x) * 4;
+    return pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+  };
+  let hex = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let byte = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      byte = (byte << 1) | (luma(x, y) > luma(x + 1, y) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  knownHashes.set(file, hex);
+  return hex;
+};
+
+const popcount = (n) => {
+  let count = 0;
+  for (let v = n; v; v &= v - 1) count++;
+  return count;
+};
+
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    distance += popcount(parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16));
+  }
+  return distance;
+};
+
+// items: [{ key, hash }] in display order (hash may be null while still computing).
+// Returns groups of two or more near-duplicates as [{ members: key[] }], each listed in display order;
+// the first member is the group's representative. Similarity is transitive (single-linkage).
+export const groupNearDuplicates = (items, threshold) => {
+  const hashed = items.filter(item => item.hash);
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (hammingDistance(hashed[i].hash, hashed[j].hash) <= threshold) {
+        const [a, b] = [find(i), find(j)];
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+      }
+    }
+  }
+
+  const groups = new Map();
+  hashed.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item.key);
+  });
+  return [...groups.values()].filter(members => members.length > 1).map(members => ({ members }));
+};
@@ -0,0 +1,81 @@
+// --- Helpers for the photo map: tile sources, marker colors, clustering and the voyage track ---
+
+// A tile source with url: null draws no tiles, so the map works with no network at all.
+export const TILE_SOURCES = [
+  {
+    id: 'osm',
+    label: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19
+  },
+  { id: 'plain', label: 'Plain background (offline)', url: null, attribution: '', maxZoom: 18 },
+  { id: 'custom', label: 'Custom tile server', url: null, attribution: '', maxZoom: 19 }
+];
+
+export const DEFAULT_MAP_SETTINGS = {
+  tileSource: import.meta.env.VITE_MAP_TILE_URL ? 'custom' : 'osm',
+  customTileUrl: import.meta.env.VITE_MAP_TILE_URL || ''
+};
+
+// Resolves the map settings to { id, label, url, attribution, maxZoom }. A custom source without a URL falls back to plain.
+export const resolveTileSource = (mapSettings = DEFAULT_MAP_SETTINGS) => {
+  const source = TILE_SOURCES.find(s => s.id === mapSettings.tileSource) || TILE_SOURCES[0];
+  if (source.id !== 'custom') return source;
+  const url = mapSettings.customTileUrl?.trim();
+  return url ? { ...source, url } : TILE_SOURCES.find(s => s.id === 'plain');
+};
+
+// --- Marker colors ---
+
+const PASSION_PALETTE = [
+  '#4f46e5', '#db2777', '#059669', '#d97706', '#0891b2',
+  '#7c3aed', '#dc2626', '#65a30d', '#2563eb', '#c026d3'
+];
+export const OTHER_COLOR = '#9ca3af';
+
+// The strongest match: the first High-confidence passion, otherwise the first Suggested one.
+export const topPassion = (matchedPassions = []) => (
+  matchedPassions.find(m => m.confidence === 'High') || matchedPassions[0] || null
+)?.passionName || null;
+
+// Gives the most frequent passions their own color; the rest share OTHER_COLOR.
+// Returns [{ passionName, color, count }] in legend order.
+export const buildPassionColors = (passionNames) => {
+  const counts = new Map();
+  passionNames.filter(Boolean).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([passionName, count], index) => ({ passionName, count, color: PASSION_PALETTE[index] || OTHER_COLOR }));
+};
+
+// --- Clustering ---
+
+// Greedy screen-space clustering: each point joins the first cluster whose first point is within
+// `radius` pixels, otherwise it starts a new one. `project` maps { lat, lng } to { x, y } pixels
+// at the current zoom. Returns [{ points, lat, lng }] with lat/lng at the cluster's mean position.
+export const clusterPoints = (points, { project, radius = 40 }) => {
+  const clusters = [];
+  for (const point of points) {
+    const pixel = project(point);
+    const cluster = clusters.find(c => Math.hypot(c.pixel.x - pixel.x, c.pixel.y - pixel.y) <= radius);
+    if (cluster) {
+      cluster.points.push(point);
+    } else {
+      clusters.push({ pixel, points: [point] });
+    }
+  }
+  return clusters.map(({ points: members }) => ({
+    points: members,
+    lat: members.reduce((sum, p) => sum + p.lat, 0) / members.length,
+    lng: members.reduce((sum, p) => sum + p.lng, 0) / members.length
+  }));
+};
+
+// --- Voyage track ---
+
+// Photos that have a capture time, in time order, as [lat, lng] pairs.
+export const buildTrack = (points) => points
+  .filter(point => point.takenAt !== null && point.takenAt !== undefined)
+  .sort((a, b) => a.takenAt - b.takenAt)
+  .map(point => [point.lat, point.lng]);
@@ -0,0 +1,161 @@
+import { CORRECTIVE_PROMPT, CONFIDENCE_LEVELS, parseAnalysisText } from './validation.js';
+import { readPhotoMetadata, buildMetadataContext, selectPromptFields, EMPTY_METADATA } from './metadata.js';
+import { sharedGroups, needsMetadataStripping } from './privacy.js';
+import { preprocessImage, toBase64 } from './imagePreprocess.js';
+import { describeCorrectionExamples } from './corrections.js';
+import { isVideo, extractKeyframes } from './videoFrames.js';
+import { summarizeCalls } from './usage.js';
+
+// --- Analysis pipeline: prompt, response schema, metadata sharing and the model call ---
+// Shared by the web app and the CLI (cli/analyzePhotos.js), so nothing here may touch React or the DOM at import time.
+
+// Bump whenever PROMPT_TEMPLATE, RESPONSE_SCHEMA or the metadata fed into them changes so cached analyses are not reused.
+export const PROMPT_VERSION = 6;
+
+const joinHints = (hints) => hints.length > 1
+  ? `${hints.slice(0, -1).join(', ')}, or ${hints[hints.length - 1]}`
+  : hints.join('');
+
+// frameCount > 1 means the images are keyframes of one video clip.
+export const PROMPT_TEMPLATE = (event, metadataContext, { corrections = [], frameCount = 1 } = {}) => `
+Analyze the provided image and its metadata to recommend specific itinerary items for **${event.name}**.
+${frameCount > 1 ? `The ${frameCount} images are keyframes, in order, from one short video clip. Treat them as a single scene and give one description and one set of items for the whole clip.\n` : ''}Metadata Context: ${metadataContext}
+
+The user is attending ${event.name}. Use the visual cues to map the image to the following specific lineup:
+${event.lineup.length > 0 ? `
+**Key Lineup & Vibe Context:**
+${event.lineup.map(entry => `- **${entry.label}:** Matches ${joinHints(entry.hints)}.`).join('\n')}
+` : ''}
+**Instructions:**
+1. **Describe** the main activity or vibe of the photo in one concise sentence.
+2. **Map** the image content to the provided ${event.name} itinerary items: [${event.passions.join(', ')}].
+${event.examples.map(example => `   - *Example:* ${example.scene} matches ${example.items.map(item => `"${item}"`).join(' or ')}.`).join('\n')}
+   - If the metadata gives a time of day, weigh it: golden-hour light around sunrise or sunset fits sunrise/sunset items, and late-night photos lean toward nightlife.
+${corrections.length > 0 ? `   - This user corrected earlier photos as follows. Follow their preferences for similar scenes and avoid items they rejected:
+${describeCorrectionExamples(corrections).split('\n').map(line => `     ${line}`).join('\n')}
+` : ''}3. **Select** the most relevant itinerary items:
+   - 'High' confidence: Select 1-5 items.
+   - 'Suggested' confidence: Select 1-5 items.
+4. Provide the output only in the requested JSON format.
+`;
+
+export const RESPONSE_SCHEMA = (passionList) => ({
+  type: "OBJECT",
+  properties: {
+    description: { "type": "STRING", "description": "A brief, 1-sentence summary of the main activity/context found in the photo." },
+    matchedPassions: {
+      "type": "ARRAY",
+      "description": "A list of 2 to 10 itinerary items from the provided list that best match the photo's content, categorized by confidence level (High or Suggested).",
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "passionName": { "type": "STRING", "enum": passionList, "description": "The name of the itinerary item from the provided list." },
+          "confidence": { "type": "STRING", "enum": CONFIDENCE_LEVELS, "description": "Must be one of: 'High' or 'Suggested'." }
+        },
+        "required": ["passionName", "confidence"]
+      }
+    }
+  },
+  required: ["description", "matchedPassions"]
+});
+
+// The metadata text for the prompt and the keys it covers, limited to the groups the privacy settings share.
+export const describeSharedMetadata = (metadata, privacy) => {
+  const groups = sharedGroups(privacy);
+  return {
+    metadataContext: buildMetadataContext(metadata, groups),
+    fields: selectPromptFields(metadata, groups).map(field => field.key)
+  };
+};
+
+// Browser only: preprocessing draws on a canvas. The CLI prepares its files from disk instead.
+// `sent` records exactly what leaves the browser: { fields: metadata keys in the prompt, embeddedMetadata: original bytes uploaded }.
+// restored is the history record a file was rebuilt from (getRestoredRecord); its image has no EXIF left to read.
+// signal cancels keyframe extraction, the one step here that can hang on a clip the browser can't decode.
+export const prepareFile = async (file, preprocessing, privacy, { restored = null, signal } = {}) => {
+  // A clip restored from history is a JPEG of its first keyframe; the record still has every keyframe.
+  if (restored?.keyframes?.length > 0) return prepareKeyframes(restored.keyframes, restored.upload, privacy);
+  if (isVideo(file)) return prepareVideo(file, preprocessing, privacy, signal);
+  // Metadata is read from the original file; the re-encoded upload no longer carries it.
+  const [upload, metadata] = await Promise.all([
+    preprocessImage(file, { ...preprocessing, stripMetadata: needsMetadataStripping(privacy) }),
+    restored?.metadata ? restored.metadata : readPhotoMetadata(file)
+  ]);
+  const base64Data = await toBase64(upload.blob);
+  const { blob, ...uploadStats } = upload;
+  const { metadataContext, fields } = describeSharedMetadata(metadata, privacy);
+  return {
+    base64Data,
+    upload: restored?.upload ? { ...uploadStats, originalBytes: restored.upload.originalBytes } : uploadStats,
+    previewBlob: blob,
+    metadata,
+    metadataContext,
+    sent: { fields, embeddedMetadata: !upload.reencoded }
+  };
+};
+
+// A video becomes its keyframes, sent together and analyzed as one item. Clips carry no EXIF, so no metadata is
+// shared; the first keyframe stands in for the photo everywhere else (previews, history, exports).
+const prepareVideo = async (file, preprocessing, privacy, signal) => {
+  const { frames, width, height } = await extractKeyframes(file, { ...preprocessing, signal });
+  return prepareKeyframes(frames, { width, height, originalBytes: file.size }, privacy);
+};
+
+const prepareKeyframes = async (frames, { width, height, originalBytes }, privacy) => {
+  const images = await Promise.all(frames.map(async (frame) => ({ mimeType: frame.blob.type, data: await toBase64(frame.blob) })));
+  const metadata = { ...EMPTY_METADATA };
+  const { metadataContext, fields } = describeSharedMetadata(metadata, privacy);
+  return {
+    base64Data: images[0].data,
+    images,
+    upload: {
+      mimeType: images[0].mimeType, width, height, originalBytes,
+      bytes: frames.reduce((sum, frame) => sum + frame.blob.size, 0), reencoded: true, frameCount: frames.length
+    },
+    previewBlob: frames[0].blob,
+    keyframes: frames,
+    metadata,
+    metadataContext,
+    sent: { fields, embeddedMetadata: false }
+  };
+};
+
+// prepared needs { base64Data, upload: { mimeType }, metadataContext } and, for videos, images (every keyframe);
+// corrections are few-shot examples from selectCorrectionExamples. Resolves to
+// { analysis: the validated { description, matchedPassions }, usage: summarizeCalls over every model call }.
+export const analyzePrepared = async ({ provider, providerSettings, event, prepared, corrections = [], fileName, signal }) => {
+  const images = prepared.images || [{ mimeType: prepared.upload.mimeType, data: prepared.base64Data }];
+  const prompt = PROMPT_TEMPLATE(event, prepared.metadataContext, { corrections, frameCount: images.length });
+  const request = {
+    prompt,
+    passionList: event.passions,
+    images,
+    schema: RESPONSE_SCHEMA(event.passions)
+  };
+
+  // Every call is billed, so usage covers the re-prompt too and travels on the error if the photo fails.
+  const responses = [];
+  const call = async (callRequest) => {
+    const response = await provider.analyze(callRequest, providerSettings, { signal });
+    responses.push(response);
+    return response.text;
+  };
+  try {
+    let outcome = parseAnalysisText(await call(request), event.passions);
+    if (outcome.problems.length > 0) {
+      // One corrective re-prompt; a second unusable answer is reported as an error.
+      console.warn(`Unusable response for ${fileName}, re-prompting:`, outcome.problems);
+      outcome = parseAnalysisText(await call({ ...request, prompt: CORRECTIVE_PROMPT(prompt, outcome.problems) }), event.passions);
+      if (outcome.problems.length > 0) {
+        throw new Error(`Model response was unusable: ${outcome.problems.join(' ')}`);
+      }
+    }
+    if (outcome.warnings.length > 0) {
+      console.warn(`Normalized model output for ${fileName}:`, outcome.warnings);
+    }
+    return { analysis: outcome.analysis, usage: summarizeCalls(responses) };
+  } catch (error) {
+    if (responses.length > 0) error.usage = summarizeCalls(responses);
+    throw error;
+  }
+};
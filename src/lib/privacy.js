@@ -0,0 +1,15 @@
+import { METADATA_GROUPS, ALL_METADATA_GROUPS } from './metadata.js';
+
+// --- Privacy: which photo metadata may leave the browser ---
+// Settings shape: { share: { [groupId]: boolean } }. Location and free-text fields are opt-in.
+
+export const DEFAULT_PRIVACY = {
+  share: { time: true, camera: true, exposure: true, location: false, descriptive: false }
+};
+
+export const SENSITIVE_GROUPS = ['location', 'descriptive'];
+
+export const sharedGroups = (privacy = DEFAULT_PRIVACY) => ALL_METADATA_GROUPS.filter(id => privacy.share?.[id]);
+
+// The original file carries every EXIF/XMP/IPTC field, so it may only be uploaded as-is when everything is shared.
+export const needsMetadataStripping = (privacy = DEFAULT_PRIVACY) => sharedGroups(privacy).length < METADATA_GROUPS.length;
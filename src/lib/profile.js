@@ -0,0 +1,52 @@
+// --- Aggregated "passion profile" across a batch of analyzed photos ---
+
+export const CONFIDENCE_WEIGHTS = { High: 1, Suggested: 0.4 };
+
+// entries: [{ id, matchedPassions, weight?, groupKey? }] where weight lets one entry count for more or less
+// than a single photo in the scores. Entries sharing a groupKey (near-duplicates) count as one photo in photoCount,
+// both overall and per item.
+// Returns every catalog item scored, plus per-category totals, both ranked.
+export const buildPassionProfile = (entries, event) => {
+  const items = new Map(event.categories.flatMap(category => category.items.map(passionName => [passionName, {
+    passionName,
+    category: category.name,
+    score: 0,
+    highCount: 0,
+    suggestedCount: 0,
+    photoIds: []
+  }])));
+  const itemPhotos = new Map(); // passionName -> Set of distinct photos (a group counts once)
+  const photoOf = (entry) => (entry.groupKey != null ? `group:${entry.groupKey}` : `photo:${entry.id}`);
+
+  entries.forEach(entry => {
+    const weight = entry.weight ?? 1;
+    (entry.matchedPassions || []).forEach(match => {
+      const item = items.get(match.passionName);
+      if (!item || item.photoIds.includes(entry.id)) return;
+      item.score += (CONFIDENCE_WEIGHTS[match.confidence] ?? 0) * weight;
+      if (match.confidence === 'High') item.highCount += 1;
+      else item.suggestedCount += 1;
+      item.photoIds.push(entry.id);
+      itemPhotos.set(item.passionName, (itemPhotos.get(item.passionName) || new Set()).add(photoOf(entry)));
+    });
+  });
+
+  const groupKeys = new Set(entries.filter(entry => entry.groupKey != null).map(entry => entry.groupKey));
+  const photoCount = groupKeys.size + entries.filter(entry => entry.groupKey == null).length;
+  const ranked = [...items.values()]
+    .map(item => ({ ...item, score: Math.round(item.score * 100) / 100, photoCount: itemPhotos.get(item.passionName)?.size ?? 0 }))
+    .sort((a, b) => b.score - a.score || b.photoCount - a.photoCount || a.passionName.localeCompare(b.passionName));
+
+  const categories = event.categories
+    .map(category => {
+      const categoryItems = ranked.filter(item => item.category === category.name);
+      return {
+        name: category.name,
+        score: Math.round(categoryItems.reduce((sum, item) => sum + item.score, 0) * 100) / 100,
+        items: categoryItems
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return { items: ranked, categories, photoCount };
+};
@@ -0,0 +1,43 @@
+// --- Service worker registration and notifications ---
+
+// Only production builds register the worker; in dev it would serve stale modules over HMR.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', async () => {
+    try {
+      await navigator.serviceWorker.register('/sw.js');
+      const registration = await navigator.serviceWorker.ready;
+      // Hand over everything this page loaded before the worker was in control, so the next offline start works.
+      const urls = performance.getEntriesByType('resource')
+        .map(entry => entry.name)
+        .filter(url => url.startsWith(window.location.origin) && !url.includes('/api/'));
+      registration.active?.postMessage({ type: 'cache-urls', urls });
+    } catch (error) {
+      console.warn("Service worker registration failed:", error);
+    }
+  });
+};
+
+export const canNotify = () => typeof Notification !== 'undefined';
+
+// Must be called from a user gesture in most browsers.
+export const requestNotificationPermission = async () => {
+  if (!canNotify()) return 'denied';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+// Prefers the service worker (required on Android); falls back to a page notification.
+export const notify = async (title, options = {}) => {
+  if (!canNotify() || Notification.permission !== 'granted') return;
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(title, { icon: '/icon.svg', ...options });
+    } else {
+      new Notification(title, { icon: '/icon.svg', ...options });
+    }
+  } catch (error) {
+    console.warn("Could not show a notification:", error);
+  }
+};
@@ -0,0 +1,177 @@
+import { createThumbnail, blobToDataUrl, dataUrlToBlob } from './imagePreprocess.js';
+import { normalizeAnalysis } from './validation.js';
+
+// --- Export (JSON, CSV, printable report) and JSON import of analysis results ---
+// Export entries are plain objects: { fileName, status, error, metadata, metadataContext, sent, upload, description,
+// matchedPassions, thumbnail (data URL or null) }.
+
+export const EXPORT_FORMAT = 'summit-photo-mapper/results';
+export const EXPORT_VERSION = 1;
+
+// result is an app result ({ file, status, data, error, metadata, ... }); the CLI builds the same shape.
+export const toExportEntry = (result, thumbnail = null) => ({
+  fileName: result.file.name,
+  status: result.status,
+  error: result.error || null,
+  metadata: result.metadata || null,
+  metadataContext: result.metadataContext || null,
+  sent: result.sent || null,
+  upload: result.upload || null,
+  description: result.data?.description || null,
+  matchedPassions: result.data?.matchedPassions || [],
+  thumbnail
+});
+
+export const buildExportEntries = async (results) => Promise.all(results.map(async (result) => {
+  let thumbnail = null;
+  try {
+    thumbnail = await blobToDataUrl(await createThumbnail(result.previewBlob || result.file));
+  } catch (error) {
+    console.warn(`Could not create a thumbnail for ${result.file.name}:`, error);
+  }
+  return toExportEntry(result, thumbnail);
+}));
+
+export const buildJsonExport = ({ event, entries, exportedAt = new Date() }) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  event: { id: event.id, name: event.name, version: event.version },
+  photos: entries
+}, null, 2);
+
+// --- CSV ---
+
+const CSV_COLUMNS = [
+  ['file_name', entry => entry.fileName],
+  ['status', entry => entry.status],
+  ['date_taken', entry => entry.metadata?.date],
+  ['camera', entry => entry.metadata?.camera],
+  ['latitude', entry => entry.metadata?.location?.lat],
+  ['longitude', entry => entry.metadata?.location?.lng],
+  ['description', entry => entry.description],
+  ['high_confidence', entry => entry.matchedPassions.filter(m => m.confidence === 'High').map(m => m.passionName).join('; ')],
+  ['suggested', entry => entry.matchedPassions.filter(m => m.confidence === 'Suggested').map(m => m.passionName).join('; ')],
+  ['error', entry => entry.error]
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCsvExport = ({ entries }) => [
+  CSV_COLUMNS.map(([header]) => header).join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(([, read]) => escapeCsv(read(entry))).join(','))
+].join('\r\n') + '\r\n';
+
+// --- Printable HTML report ---
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const buildHtmlReport = ({ event, entries, profile, autoPrint = false, exportedAt = new Date() }) => {
+  const topItems = (profile?.items || []).filter(item => item.score > 0).slice(0, 10);
+  const cards = entries.map(entry => `
+    <article class="card">
+      ${entry.thumbnail ? `<img src="${escapeHtml(entry.thumbnail)}" alt="${escapeHtml(entry.fileName)}">` : '<div class="placeholder"></div>'}
+      <div>
+        <h3>${escapeHtml(entry.fileName)}</h3>
+        <p class="meta">${[entry.metadata?.date, entry.metadata?.camera].filter(Boolean).map(escapeHtml).join(' · ')}</p>
+        ${entry.error
+          ? `<p class="error">Error: ${escapeHtml(entry.error)}</p>`
+          : `<p>${escapeHtml(entry.description)}</p>
+        <p class="tags">${entry.matchedPassions.map(m => `<span class="tag ${m.confidence === 'High' ? 'high' : ''}">${escapeHtml(m.passionName)}</span>`).join(' ')}</p>`}
+      </div>
+    </article>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(event.name)} – Photo Passions Report</title>
+<style>
+  body { font-family: 'Inter', system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+  h1 { margin-bottom: 0.25rem; }
+  .subtitle { color: #6b7280; margin-top: 0; }
+  ol.top { columns: 2; }
+  .card { display: flex; gap: 1rem; padding: 0.75rem 0; border-top: 1px solid #e5e7eb; break-inside: avoid; }
+  .card img, .placeholder { width: 120px; height: 120px; object-fit: cover; border-radius: 6px; background: #f3f4f6; flex-shrink: 0; }
+  .card h3 { margin: 0 0 0.25rem; font-size: 1rem; }
+  .meta { color: #6b7280; font-size: 0.8rem; margin: 0 0 0.5rem; }
+  .error { color: #b91c1c; }
+  .tag { display: inline-block; font-size: 0.75rem; padding: 0.1rem 0.5rem; border: 1px solid #bfdbfe; border-radius: 999px; color: #1d4ed8; margin: 0 0.25rem 0.25rem 0; }
+  .tag.high { border-color: #bbf7d0; color: #15803d; }
+  @media print { body { margin: 0.5in; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(event.name)} – Photo Passions</h1>
+  <p class="subtitle">${entries.length} photos · exported ${escapeHtml(exportedAt.toLocaleString())}</p>
+  ${topItems.length > 0 ? `<h2>Top passions</h2>
+  <ol class="top">${topItems.map(item => `<li>${escapeHtml(item.passionName)} <small>(${item.photoCount} photos)</small></li>`).join('')}</ol>` : ''}
+  <h2>Photos</h2>
+  ${cards}
+  ${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>`;
+};
+
+// --- Import ---
+
+// Imported tags go through the same normalization as model output, against the catalog of the event they will be
+// shown under; user verdicts survive. A photo whose analysis can't be read comes back as not analyzed.
+const normalizeImportedPhoto = (photo, passions) => {
+  if (photo.status !== 'done') return { ...photo, description: null, matchedPassions: [] };
+  const matches = Array.isArray(photo.matchedPassions) ? photo.matchedPassions : [];
+  const { analysis } = normalizeAnalysis({ description: photo.description, matchedPassions: matches }, passions);
+  if (!analysis) return { ...photo, status: 'error', error: 'The imported analysis was malformed.', description: null, matchedPassions: [] };
+  const verdicts = new Map(matches
+    .filter(match => match && ['accepted', 'added'].includes(match.verdict))
+    .map(match => [match.passionName, match.verdict]));
+  return {
+    ...photo,
+    description: analysis.description,
+    matchedPassions: analysis.matchedPassions.map(match => (verdicts.has(match.passionName)
+      ? { ...match, verdict: verdicts.get(match.passionName) }
+      : match))
+  };
+};
+
+// resolveEvent(exportedEvent) returns the catalog event the photos were tagged for, or null when it isn't known here;
+// the import is refused then rather than checking the tags against an unrelated catalog.
+// Returns { event: { id, name, version }, entries: [{ ...exportEntry, image: Blob | null }] }.
+export const parseJsonExport = async (text, resolveEvent) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("The selected file is not valid JSON.");
+  }
+  if (raw?.format !== EXPORT_FORMAT || !Array.isArray(raw.photos)) {
+    throw new Error("This file is not a Summit Photo Passions export.");
+  }
+  if (raw.version > EXPORT_VERSION) {
+    throw new Error(`This export was made by a newer version of the app (format v${raw.version}).`);
+  }
+
+  const resolved = resolveEvent(raw.event || null);
+  if (!resolved) {
+    const name = typeof raw.event?.name === 'string' ? `"${raw.event.name}"` : 'an event that is not set up here';
+    throw new Error(`This export is for ${name}, which isn't in your event list. Import that event first, then the results.`);
+  }
+  const { passions } = resolved;
+  const entries = await Promise.all(raw.photos
+    .filter(photo => typeof photo?.fileName === 'string')
+    .map(async (photo) => ({
+      ...normalizeImportedPhoto(photo, passions),
+      image: typeof photo.thumbnail === 'string' && photo.thumbnail.startsWith('data:image/')
+        ? await dataUrlToBlob(photo.thumbnail).catch(() => null)
+        : null
+    })));
+  return { event: raw.event || null, entries };
+};
@@ -0,0 +1,34 @@
+// --- Response schema helpers ---
+// RESPONSE_SCHEMA is written in Gemini's OpenAPI subset (upper-case type names).
+// OpenAI-compatible servers expect standard JSON Schema, so we convert on the way out.
+
+export const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, child]) => [name, toJsonSchema(child)])
+      );
+    } else if (key === 'items') {
+      converted.items = toJsonSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  if (converted.type === 'object' && !('additionalProperties' in converted)) {
+    converted.additionalProperties = false;
+  }
+  return converted;
+};
+
+// Strips markdown code fences some chat models wrap around JSON output.
+export const extractJsonText = (text) => {
+  if (typeof text !== 'string') return text;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  return (fenced ? fenced[1] : text).trim();
+};
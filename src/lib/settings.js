@@ -0,0 +1,53 @@
+import { PROVIDERS, DEFAULT_PROVIDER_ID } from '../providers/index.js';
+import { DEFAULT_PREPROCESSING } from './imagePreprocess.js';
+import { DEFAULT_MAP_SETTINGS } from './photoMap.js';
+import { DEFAULT_PRIVACY } from './privacy.js';
+import { DEFAULT_DUPLICATE_SETTINGS } from './perceptualHash.js';
+import { DEFAULT_USAGE_SETTINGS } from './usage.js';
+
+// --- User settings, persisted in localStorage ---
+
+const SETTINGS_KEY = 'summit-photo-mapper.settings';
+
+export const getDefaultSettings = () => ({
+  provider: DEFAULT_PROVIDER_ID,
+  eventId: import.meta.env.VITE_DEFAULT_EVENT || '', // empty = first available event
+  providers: Object.fromEntries(PROVIDERS.map(provider => [provider.id, { ...provider.defaultSettings }])),
+  preprocessing: { ...DEFAULT_PREPROCESSING },
+  concurrency: 2,
+  map: { ...DEFAULT_MAP_SETTINGS },
+  privacy: { share: { ...DEFAULT_PRIVACY.share } },
+  duplicates: { ...DEFAULT_DUPLICATE_SETTINGS },
+  usage: { ...DEFAULT_USAGE_SETTINGS }
+});
+
+export const loadSettings = () => {
+  const defaults = getDefaultSettings();
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if (!stored) return defaults;
+    return {
+      ...defaults,
+      ...stored,
+      preprocessing: { ...defaults.preprocessing, ...(stored.preprocessing || {}) },
+      map: { ...defaults.map, ...(stored.map || {}) },
+      privacy: { share: { ...defaults.privacy.share, ...(stored.privacy?.share || {}) } },
+      duplicates: { ...defaults.duplicates, ...(stored.duplicates || {}) },
+      usage: { ...defaults.usage, ...(stored.usage || {}) },
+      providers: Object.fromEntries(Object.entries(defaults.providers).map(([id, values]) => [
+        id, { ...values, ...(stored.providers?.[id] || {}) }
+      ]))
+    };
+  } catch (error) {
+    console.warn("Could not read saved settings:", error);
+    return defaults;
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not save settings:", error);
+  }
+};
@@ -0,0 +1,89 @@
+import { buildPassionProfile } from './profile.js';
+
+// --- Capture times, and the trip timeline built from them (days split into "moments") ---
+
+// A new moment starts when two consecutive photos are further apart than this.
+export const MOMENT_GAP_MINUTES = 90;
+const MOMENT_TAG_COUNT = 5;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "+02:00" / "-0530" -> minutes east of UTC, or null.
+const parseOffset = (text) => {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec((text || '').trim());
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// dateText is EXIF DateTimeOriginal ("2024:11:03 18:42:10", camera wall-clock time) and offsetText
+// OffsetTimeOriginal ("+02:00") when the camera wrote one. Returns null for missing/garbled dates, else
+// { ms, day: 'YYYY-MM-DD', clock: 'HH:MM', hour, minute, offsetMinutes }. `day`/`clock` are the local time where
+// the photo was taken; `ms` is the real instant when the offset is known, otherwise that wall-clock time read as UTC
+// (so photos without an offset still sort correctly among themselves).
+export const parseCaptureTime = (dateText, offsetText) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(dateText || '');
+  if (!match) return null;
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(value => Number(value || 0));
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  const offsetMinutes = parseOffset(offsetText);
+  const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  return {
+    ms: wallClockMs - (offsetMinutes ?? 0) * 60000,
+    day: `${year}-${pad(month)}-${pad(day)}`,
+    clock: `${pad(hour)}:${pad(minute)}`,
+    hour,
+    minute,
+    offsetMinutes
+  };
+};
+
+// Coarse part of day, phrased for the prompt. Sunrise/sunset windows are approximate on purpose:
+// the model only needs a nudge, not an ephemeris.
+export const describeTimeOfDay = ({ hour }) => {
+  if (hour < 5) return 'late night';
+  if (hour < 8) return 'early morning, around sunrise';
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  if (hour < 20) return 'evening, around sunset';
+  return 'night';
+};
+
+// entries: [{ id, capture (from parseCaptureTime, or null), matchedPassions }].
+// Returns { days: [{ day, moments: [{ id, start, end, entries, tags }] }], undated: entries[] }, oldest first.
+// tags are the moment's top passions from buildPassionProfile.
+// Days are calendar days where the photos were taken and moments use wall-clock gaps, so photos with and without
+// an offset still share their day.
+const wallClockMs = (capture) => capture.ms + (capture.offsetMinutes ?? 0) * 60000;
+
+export const buildTimeline = (entries, event, { gapMinutes = MOMENT_GAP_MINUTES } = {}) => {
+  const byDay = new Map();
+  entries.filter(entry => entry.capture).forEach(entry => {
+    if (!byDay.has(entry.capture.day)) byDay.set(entry.capture.day, []);
+    byDay.get(entry.capture.day).push(entry);
+  });
+
+  const days = [...byDay.keys()].sort().map(dayKey => {
+    const day = { day: dayKey, moments: [] };
+    byDay.get(dayKey)
+      .sort((a, b) => wallClockMs(a.capture) - wallClockMs(b.capture) || a.capture.ms - b.capture.ms)
+      .forEach(entry => {
+        const moment = day.moments[day.moments.length - 1];
+        if (moment && wallClockMs(entry.capture) - wallClockMs(moment.end) <= gapMinutes * 60000) {
+          moment.entries.push(entry);
+          moment.end = entry.capture;
+        } else {
+          day.moments.push({ id: `${dayKey}-${day.moments.length + 1}`, start: entry.capture, end: entry.capture, entries: [entry] });
+        }
+      });
+    return day;
+  });
+
+  days.forEach(day => day.moments.forEach(moment => {
+    moment.tags = buildPassionProfile(moment.entries, event).items
+      .filter(item => item.score > 0)
+      .slice(0, MOMENT_TAG_COUNT);
+  }));
+
+  return { days, undated: entries.filter(entry => !entry.capture) };
+};
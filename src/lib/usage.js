@@ -0,0 +1,106 @@
+// --- Token usage, estimated cost and the optional session budget ---
+// Photo usage (from analyzePrepared): { calls, inputTokens, outputTokens, totalTokens, model, metered, cost }.
+// metered is false when the provider reported no token counts for some call; cost is null when the photo can't
+// be priced (unmetered, or no price for the model). Totals add photos up and count the unpriced ones separately,
+// so a partial cost is never shown as the whole.
+
+const SESSION_USAGE_KEY = 'summit-photo-mapper.sessionUsage';
+
+// USD per million tokens for the paid tier, prompts under 200k tokens. Output includes thinking tokens.
+// These go stale; the table is editable in Settings.
+export const DEFAULT_PRICES = [
+  { model: 'gemini-2.5-pro', inputPerMillion: 1.25, outputPerMillion: 10 },
+  { model: 'gemini-2.5-flash', inputPerMillion: 0.3, outputPerMillion: 2.5 },
+  { model: 'gemini-2.5-flash-lite', inputPerMillion: 0.1, outputPerMillion: 0.4 },
+  { model: 'gemini-2.0-flash', inputPerMillion: 0.1, outputPerMillion: 0.4 },
+  { model: 'gemini-2.0-flash-lite', inputPerMillion: 0.075, outputPerMillion: 0.3 }
+];
+
+// budgetUsd: 0 = no cap.
+export const DEFAULT_USAGE_SETTINGS = { prices: DEFAULT_PRICES, budgetUsd: 0 };
+
+export const EMPTY_USAGE_TOTAL = { photos: 0, calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+
+// Sums the provider responses ({ usage, model }) of every call made for one photo.
+export const summarizeCalls = (responses) => ({
+  calls: responses.length,
+  inputTokens: responses.reduce((sum, response) => sum + (response.usage?.inputTokens || 0), 0),
+  outputTokens: responses.reduce((sum, response) => sum + (response.usage?.outputTokens || 0), 0),
+  totalTokens: responses.reduce((sum, response) => sum + (response.usage?.totalTokens || 0), 0),
+  model: responses[responses.length - 1]?.model || null,
+  metered: responses.length > 0 && responses.every(response => response.usage)
+});
+
+// Longest table entry that prefixes the model name, so 'gemini-2.5-flash' covers its dated preview releases
+// while 'gemini-2.5-flash-lite' keeps its own price.
+export const findPrice = (prices, model) => {
+  if (!model) return null;
+  const name = model.toLowerCase().replace(/^models\//, '');
+  return prices
+    .filter(price => price.model && name.startsWith(price.model.toLowerCase()))
+    .sort((a, b) => b.model.length - a.model.length)[0] || null;
+};
+
+export const priceUsage = (usage, prices) => {
+  const price = usage.metered ? findPrice(prices, usage.model) : null;
+  const cost = price
+    ? (usage.inputTokens * price.inputPerMillion + usage.outputTokens * price.outputPerMillion) / 1e6
+    : null;
+  return { ...usage, cost };
+};
+
+export const addUsage = (total, usage) => ({
+  photos: total.photos + 1,
+  calls: total.calls + usage.calls,
+  inputTokens: total.inputTokens + usage.inputTokens,
+  outputTokens: total.outputTokens + usage.outputTokens,
+  totalTokens: total.totalTokens + usage.totalTokens,
+  cost: total.cost + (usage.cost ?? 0),
+  unpriced: total.unpriced + (usage.cost === null ? 1 : 0)
+});
+
+export const sumUsage = (usages) => usages.filter(Boolean).reduce(addUsage, EMPTY_USAGE_TOTAL);
+
+// Per-photo cost assumed until a photo has been priced: generous token counts at the dearest price in the table.
+const ESTIMATE_INPUT_TOKENS = 4000;
+const ESTIMATE_OUTPUT_TOKENS = 2000;
+
+export const estimatePhotoCost = (total, prices) => {
+  const priced = total.photos - total.unpriced;
+  if (priced > 0) return total.cost / priced;
+  return Math.max(0, ...prices.map(price =>
+    (ESTIMATE_INPUT_TOKENS * price.inputPerMillion + ESTIMATE_OUTPUT_TOKENS * price.outputPerMillion) / 1e6));
+};
+
+// Why the budget holds the next photo back, or null to let it start: 'unpriced' once a photo's cost is unknown
+// (the budget can no longer be tracked), 'budget' when it and the photos still running could pass the budget.
+export const budgetHold = (total, budgetUsd, { inFlight = 0, prices = DEFAULT_PRICES } = {}) => {
+  if (!(budgetUsd > 0)) return null;
+  if (total.unpriced > 0) return 'unpriced';
+  const upcoming = estimatePhotoCost(total, prices) * (inFlight + 1);
+  return total.cost >= budgetUsd || total.cost + upcoming > budgetUsd ? 'budget' : null;
+};
+
+export const formatCost = (usd) => (usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`);
+
+export const formatTokens = (count) => count.toLocaleString();
+
+// --- Running session total, persisted so a reload doesn't reset the spend ---
+
+export const loadSessionUsage = (sessionId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_USAGE_KEY) || 'null');
+    return stored?.sessionId === sessionId ? { ...EMPTY_USAGE_TOTAL, ...stored.total } : EMPTY_USAGE_TOTAL;
+  } catch (error) {
+    console.warn("Could not read the session usage:", error);
+    return EMPTY_USAGE_TOTAL;
+  }
+};
+
+export const saveSessionUsage = (sessionId, total) => {
+  try {
+    localStorage.setItem(SESSION_USAGE_KEY, JSON.stringify({ sessionId, total }));
+  } catch (error) {
+    console.warn("Could not save the session usage:", error);
+  }
+};
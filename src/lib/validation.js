@@ -0,0 +1,127 @@
+import { extractJsonText } from './schema.js';
+
+// --- Validation and normalization of model output against the event's passion catalog ---
+
+export const CONFIDENCE_LEVELS = ['High', 'Suggested'];
+export const MAX_ITEMS_PER_CONFIDENCE = 5;
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+const normalizeName = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9+]+/g, ' ')
+  .trim();
+
+const withoutParenthetical = (value) => value.replace(/\s*\([^)]*\)\s*/g, ' ').trim();
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+// Returns the catalog item a model-supplied name most likely refers to, or null.
+export const matchCatalogItem = (name, passions) => {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  if (passions.includes(name)) return name;
+
+  const target = normalizeName(name);
+  const candidates = passions.map(item => ({
+    item,
+    full: normalizeName(item),
+    short: normalizeName(withoutParenthetical(item))
+  }));
+
+  const exact = candidates.find(c => c.full === target || c.short === target);
+  if (exact) return exact.item;
+
+  let best = null;
+  for (const candidate of candidates) {
+    const score = Math.max(similarity(target, candidate.full), similarity(target, candidate.short));
+    if (!best || score > best.score) best = { item: candidate.item, score };
+  }
+  return best && best.score >= FUZZY_MATCH_THRESHOLD ? best.item : null;
+};
+
+export const normalizeConfidence = (value) => {
+  if (typeof value === 'number') return value >= 0.7 ? 'High' : 'Suggested';
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['high', 'strong', 'very high', 'certain'].includes(text)) return 'High';
+  return 'Suggested';
+};
+
+// Returns { analysis, warnings, problems }. `problems` is non-empty when the response is unusable
+// and worth a corrective re-prompt; `warnings` lists fixes that were applied silently.
+export const normalizeAnalysis = (raw, passions) => {
+  const warnings = [];
+  const problems = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return { analysis: null, warnings, problems: ["The response was not a JSON object."] };
+  }
+
+  const description = typeof raw.description === 'string' ? raw.description.trim() : '';
+  if (!description) problems.push("'description' was missing or empty.");
+
+  const byName = new Map();
+  (Array.isArray(raw.matchedPassions) ? raw.matchedPassions : []).forEach(match => {
+    const requested = match?.passionName;
+    const passionName = matchCatalogItem(requested, passions);
+    if (!passionName) {
+      warnings.push(`Dropped unknown item "${requested}".`);
+      return;
+    }
+    if (passionName !== requested) warnings.push(`Corrected "${requested}" to "${passionName}".`);
+
+    const confidence = normalizeConfidence(match.confidence);
+    if (confidence !== match.confidence) warnings.push(`Normalized confidence "${match.confidence}" to "${confidence}".`);
+
+    const existing = byName.get(passionName);
+    if (existing) {
+      warnings.push(`Removed duplicate "${passionName}".`);
+      if (existing.confidence === 'High' || confidence !== 'High') return;
+    }
+    byName.set(passionName, { passionName, confidence });
+  });
+
+  const matchedPassions = CONFIDENCE_LEVELS.flatMap(level => {
+    const bucket = [...byName.values()].filter(match => match.confidence === level);
+    if (bucket.length > MAX_ITEMS_PER_CONFIDENCE) {
+      warnings.push(`Trimmed ${bucket.length - MAX_ITEMS_PER_CONFIDENCE} extra '${level}' items.`);
+    }
+    return bucket.slice(0, MAX_ITEMS_PER_CONFIDENCE);
+  });
+  if (matchedPassions.length === 0) problems.push("No items from the provided list were matched.");
+
+  return { analysis: { description, matchedPassions }, warnings, problems };
+};
+
+export const parseAnalysisText = (text, passions) => {
+  let raw;
+  try {
+    raw = JSON.parse(extractJsonText(text));
+  } catch {
+    return { analysis: null, warnings: [], problems: ["The response was not valid JSON."] };
+  }
+  return normalizeAnalysis(raw, passions);
+};
+
+export const CORRECTIVE_PROMPT = (prompt, problems) => `${prompt}
+**Correction:** Your previous answer could not be used because: ${problems.join(' ')}
+Answer again with valid JSON only. Every 'passionName' must be copied exactly from the provided list, and 'confidence' must be 'High' or 'Suggested'.
+`;
@@ -0,0 +1,159 @@
+import { createCanvas, encodeCanvas, DEFAULT_PREPROCESSING } from './imagePreprocess.js';
+
+// --- Keyframes from short video clips, extracted in the browser ---
+// The clip is sampled at evenly spaced times; a tiny grayscale signature of each sample shows where the scene
+// changes. The opening frame plus the biggest changes (topped up with evenly spaced frames for static clips)
+// become the keyframes that are analyzed together as one item.
+
+export const MAX_VIDEO_SECONDS = 120;
+export const MAX_VIDEO_BYTES = 250 * 1024 * 1024;
+export const KEYFRAME_COUNT = 4;
+const SAMPLE_COUNT = 24;
+const SIGNATURE_SIZE = 16;
+const SCENE_CHANGE_THRESHOLD = 18; // mean absolute luma difference (0-255) that counts as a cut
+
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|webm|ogv)$/i;
+
+// The extension only decides when the browser gave no type (history restores a clip as its JPEG keyframe).
+export const isVideo = (file) => (file.type ? file.type.startsWith('video/') : VIDEO_EXTENSIONS.test(file.name || ''));
+
+const LOAD_TIMEOUT_MS = 20000;
+const SEEK_TIMEOUT_MS = 10000;
+
+// Resolves when the video fires `eventName`; rejects on a media error, when signal aborts, or after timeoutMs
+// (some browsers never fire loadeddata or seeked for clips they can't decode).
+const waitFor = (video, eventName, { signal, timeoutMs, errorMessage }) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const cleanup = () => {
+    clearTimeout(timer);
+    video.removeEventListener(eventName, onEvent);
+    video.removeEventListener('error', onError);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const onEvent = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = () => {
+    cleanup();
+    reject(new Error(errorMessage));
+  };
+  const onAbort = () => {
+    cleanup();
+    reject(signal.reason);
+  };
+  const timer = setTimeout(onError, timeoutMs);
+  video.addEventListener(eventName, onEvent);
+  video.addEventListener('error', onError);
+  signal?.addEventListener('abort', onAbort);
+});
+
+const loadVideo = async (url, signal) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  const loaded = waitFor(video, 'loadeddata', {
+    signal, timeoutMs: LOAD_TIMEOUT_MS, errorMessage: "This video format can't be played in this browser."
+  });
+  video.src = url;
+  video.load(); // some mobile browsers ignore preload until asked
+  try {
+    await loaded;
+  } catch (error) {
+    video.removeAttribute('src');
+    video.load();
+    throw error;
+  }
+  return video;
+};
+
+const seek = (video, time, signal) => {
+  const seeked = waitFor(video, 'seeked', { signal, timeoutMs: SEEK_TIMEOUT_MS, errorMessage: "Could not read a frame from this video." });
+  video.currentTime = time;
+  return seeked;
+};
+
+const signature = (video, context) => {
+  context.drawImage(video, 0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE);
+  const pixels = context.getImageData(0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE).data;
+  const luma = new Float32Array(SIGNATURE_SIZE * SIGNATURE_SIZE);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114;
+  }
+  return luma;
+};
+
+const difference = (a, b) => a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0) / a.length;
+
+// Picks `count` sample indices: the first sample, then the strongest scene changes at least `minGap` apart,
+// then evenly spaced samples if the clip has fewer cuts than that.
+export const selectKeyframes = (changes, count, minGap = Math.max(1, Math.floor(changes.length / (count * 2)))) => {
+  const chosen = [0];
+  const farEnough = (index) => chosen.every(other => Math.abs(other - index) >= minGap);
+  changes
+    .map((change, index) => ({ change, index }))
+    .filter(({ change, index }) => index > 0 && change >= SCENE_CHANGE_THRESHOLD)
+    .sort((a, b) => b.change - a.change)
+    .forEach(({ index }) => {
+      if (chosen.length < count && farEnough(index)) chosen.push(index);
+    });
+  for (let step = 1; chosen.length < count && step < count * 2; step++) {
+    const index = Math.min(changes.length - 1, Math.round((step * changes.length) / count));
+    if (!chosen.includes(index) && farEnough(index)) chosen.push(index);
+  }
+  return chosen.sort((a, b) => a - b);
+};
+
+// Resolves to { frames: [{ time, blob }], duration, width, height }; frames are re-encoded like photos.
+// Rejects with signal.reason once signal aborts.
+export const extractKeyframes = async (file, { count = KEYFRAME_COUNT, signal, ...options } = {}) => {
+  const { maxEdge, format, quality } = { ...DEFAULT_PREPROCESSING, ...options };
+  const url = URL.createObjectURL(file);
+  let video;
+  try {
+    video = await loadVideo(url, signal);
+    const { duration, videoWidth, videoHeight } = video;
+    if (!Number.isFinite(duration) || duration <= 0 || !videoWidth) throw new Error("This video has no readable frames.");
+    if (duration > MAX_VIDEO_SECONDS) {
+      throw new Error(`Video is ${Math.round(duration)} s long; clips up to ${MAX_VIDEO_SECONDS} s are supported.`);
+    }
+
+    const samples = Math.min(SAMPLE_COUNT, Math.max(count, Math.ceil(duration * 2)));
+    const times = Array.from({ length: samples }, (_, i) => (duration * (i + 0.5)) / samples);
+    const signatureContext = createCanvas(SIGNATURE_SIZE, SIGNATURE_SIZE).getContext('2d', { willReadFrequently: true });
+    const changes = [];
+    let previous = null;
+    for (const time of times) {
+      await seek(video, time, signal);
+      const current = signature(video, signatureContext);
+      changes.push(previous ? difference(current, previous) : 0);
+      previous = current;
+    }
+
+    const scale = Math.min(1, maxEdge / Math.max(videoWidth, videoHeight));
+    const width = Math.max(1, Math.round(videoWidth * scale));
+    const height = Math.max(1, Math.round(videoHeight * scale));
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    const frames = [];
+    for (const index of selectKeyframes(changes, Math.min(count, samples))) {
+      await seek(video, times[index], signal);
+      context.drawImage(video, 0, 0, width, height);
+      frames.push({ time: times[index], blob: await encodeCanvas(canvas, format, quality) });
+    }
+    return { frames, duration, width, height };
+  } finally {
+    if (video) {
+      video.removeAttribute('src');
+      video.load();
+    }
+    URL.revokeObjectURL(url);
+  }
+};
+
+export const formatVideoTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
@@ -0,0 +1,66 @@
+import { exponentialBackoffFetch } from '../lib/http.js';
+import { env } from '../lib/env.js';
+
+// --- Google Gemini, called through our /api/analyze proxy (the key never reaches the browser) ---
+
+export const ANALYZE_ENDPOINT = env.VITE_ANALYZE_ENDPOINT || '/api/analyze';
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini (server proxy)',
+  defaultSettings: {
+    model: env.VITE_GEMINI_MODEL || '' // empty = the server's GEMINI_MODEL
+  },
+  settingsFields: [
+    {
+      key: 'model',
+      label: 'Model',
+      type: 'select',
+      options: ({ proxyStatus }) => proxyStatus?.models || [],
+      emptyLabel: 'Server default'
+    }
+  ],
+
+  analyze: async ({ prompt, images, schema }, settings = {}, { signal } = {}) => {
+    const payload = {
+      contents: [{
+        parts: [
+          { text: prompt },
+          ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+        ]
+      }],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: schema
+      }
+    };
+    if (settings.model) payload.model = settings.model;
+
+    // The CLI passes an absolute endpoint; the browser always uses the app's own proxy.
+    const response = await exponentialBackoffFetch(settings.endpoint || ANALYZE_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    const apiResult = await response.json();
+    const text = apiResult.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      console.error("Gemini returned no content:", apiResult);
+      throw new Error(apiResult.error?.message || apiResult.error?.details?.[0]?.message || "Model response was empty or malformed.");
+    }
+
+    const usage = apiResult.usageMetadata;
+    return {
+      text,
+      usage: usage ? {
+        inputTokens: usage.promptTokenCount || 0,
+        // Thinking tokens are billed as output.
+        outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        totalTokens: usage.totalTokenCount || 0
+      } : null,
+      model: apiResult.modelVersion || settings.model || null
+    };
+  }
+};
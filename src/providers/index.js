@@ -0,0 +1,17 @@
+import { geminiProvider } from './gemini.js';
+import { openAiCompatibleProvider } from './openaiCompatible.js';
+import { mockProvider } from './mock.js';
+import { env } from '../lib/env.js';
+
+// --- Vision-model provider registry ---
+// A provider is { id, label, defaultSettings, settingsFields, analyze(request, settings, { signal }) }.
+// analyze receives { prompt, passionList, images: [{ mimeType, data }], schema } and resolves to
+// { text, usage: { inputTokens, outputTokens, totalTokens } | null, model }.
+
+export const PROVIDERS = [geminiProvider, openAiCompatibleProvider, mockProvider];
+
+export const DEFAULT_PROVIDER_ID = env.VITE_ANALYSIS_PROVIDER || geminiProvider.id;
+
+export const getProvider = (id) => PROVIDERS.find(provider => provider.id === id) || geminiProvider;
+
+export { ANALYZE_ENDPOINT } from './gemini.js';
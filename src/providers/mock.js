@@ -0,0 +1,58 @@
+// --- Deterministic mock provider for demos and tests (no network) ---
+// The same image always yields the same tags, picked from the catalog passed in the request.
+
+const DESCRIPTIONS = [
+  "Guests gathered on deck with the ocean in the background.",
+  "A lively crowd dancing under colorful stage lights.",
+  "A calm wellness session with mats laid out at sunrise.",
+  "A shared table of plated dishes and cocktails.",
+  "An art installation glowing against the night sky."
+];
+
+const hashString = (value) => {
+  // FNV-1a over a sample of the string; plenty for picking stable pseudo-random tags.
+  let hash = 0x811c9dc5;
+  const step = Math.max(1, Math.floor(value.length / 4096));
+  for (let i = 0; i < value.length; i += step) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+export const mockProvider = {
+  id: 'mock',
+  label: 'Mock (offline demo)',
+  defaultSettings: { latencyMs: 400 },
+  settingsFields: [
+    { key: 'latencyMs', label: 'Simulated latency (ms)', type: 'number' }
+  ],
+
+  analyze: async ({ passionList = [], images = [] }, settings = {}, { signal } = {}) => {
+    // A job cancelled while its photo was being prepared must not come back as done.
+    if (signal?.aborted) throw signal.reason;
+    const seed = hashString(images.map(image => image.data).join(''));
+    const latency = Number(settings.latencyMs) || 0;
+    if (latency > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, latency);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      });
+    }
+
+    const picks = [];
+    for (let i = 0; picks.length < 4 && i < passionList.length; i++) {
+      const candidate = passionList[(seed + i * 7919) % passionList.length];
+      if (!picks.includes(candidate)) picks.push(candidate);
+    }
+
+    const result = {
+      description: DESCRIPTIONS[seed % DESCRIPTIONS.length],
+      matchedPassions: picks.map((passionName, i) => ({ passionName, confidence: i < 2 ? 'High' : 'Suggested' }))
+    };
+    return { text: JSON.stringify(result), usage: null, model: 'mock' };
+  }
+};
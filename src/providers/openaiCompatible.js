@@ -0,0 +1,83 @@
+import { exponentialBackoffFetch } from '../lib/http.js';
+import { toJsonSchema } from '../lib/schema.js';
+import { env } from '../lib/env.js';
+
+// --- Any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, Ollama, LM Studio, ...) ---
+// Called directly from the browser, so only enter keys for endpoints you control.
+
+export const openAiCompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible endpoint',
+  defaultSettings: {
+    baseUrl: env.VITE_OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    model: env.VITE_OPENAI_MODEL || '',
+    apiKey: '',
+    responseFormat: 'json_schema'
+  },
+  settingsFields: [
+    { key: 'baseUrl', label: 'Base URL', type: 'text', placeholder: 'https://host/v1' },
+    { key: 'model', label: 'Model', type: 'text', placeholder: 'e.g. llava or gpt-4o-mini' },
+    { key: 'apiKey', label: 'API key (optional)', type: 'password', placeholder: 'Stored only in this browser' },
+    {
+      key: 'responseFormat',
+      label: 'Structured output',
+      type: 'select',
+      options: () => ['json_schema', 'json_object', 'none']
+    }
+  ],
+
+  analyze: async ({ prompt, images, schema }, settings = {}, { signal } = {}) => {
+    if (!settings.baseUrl || !settings.model) {
+      throw new Error("Set a base URL and model for the OpenAI-compatible provider in Settings.");
+    }
+
+    const jsonSchema = toJsonSchema(schema);
+    const promptText = settings.responseFormat === 'json_schema'
+      ? prompt
+      : `${prompt}\nRespond with a single JSON object matching this JSON Schema:\n${JSON.stringify(jsonSchema)}`;
+
+    const payload = {
+      model: settings.model,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: promptText },
+          ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+        ]
+      }]
+    };
+    if (settings.responseFormat === 'json_schema') {
+      payload.response_format = { type: 'json_schema', json_schema: { name: 'photo_analysis', schema: jsonSchema, strict: true } };
+    } else if (settings.responseFormat === 'json_object') {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    const response = await exponentialBackoffFetch(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    const apiResult = await response.json();
+    const text = apiResult.choices?.[0]?.message?.content;
+    if (!text) {
+      console.error("OpenAI-compatible endpoint returned no content:", apiResult);
+      throw new Error(apiResult.error?.message || "Model response was empty or malformed.");
+    }
+
+    const usage = apiResult.usage;
+    return {
+      text,
+      usage: usage ? {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      } : null,
+      model: apiResult.model || settings.model
+    };
+  }
+};
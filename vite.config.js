@@ -3,10 +3,11 @@ import react from '@vitejs/plugin-react';
 // We use path for alias resolution, though we abandoned the alias, 
 // keeping it here for stability just in case.
 import path from 'path'; 
+import { analyzeProxyPlugin } from './server/vitePlugin.js';
 
 // This configuration is crucial for Vercel/production builds.
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), analyzeProxyPlugin()],
   // Alias is kept to demonstrate proper setup, but the code now uses relative paths
   resolve: {
     alias: {
@@ -19,12 +20,7 @@ export default defineConfig({
     outDir: 'dist',
     emptyOutDir: true,
   },
-  
-  // *** CRITICAL FIX: Ensure VITE prefix is used in the constant name ***
-  // We use the 'define' property to explicitly embed the VITE_GEMINI_API_KEY
-  // value into the final JavaScript bundle during the build.
-  // The value is read from Vercel's environment variables.
-  define: {
-    'process.env.VITE_GEMINI_API_KEY': JSON.stringify(process.env.VITE_GEMINI_API_KEY),
-  },
+
+  // The Gemini key is no longer embedded in the bundle. It stays on the server and
+  // requests go through /api/analyze (api/analyze.js on Vercel, analyzeProxyPlugin locally).
 });